@@ -16,63 +16,324 @@ limitations under the License.
 Module.register("MMM-Gemini", {
   defaults: {
     statusText: "Initializing...",
-    apiKey: "", // MUST be set in config.js
+    // The API key is never part of this config: the helper reads it from the
+    // GEMINI_API_KEY environment variable or from api_key.txt in the module directory
 
+    // Persona / voice. Empty values fall back to the helper's built-in magical mirror
+    model: "gemini-2.0-flash-live-001",
+    voiceName: "Puck",
+    languageCode: "", // e.g. "fr-FR". Empty lets Gemini follow the speaker's language
+    responseModality: "audio", // "audio" speaks the answers, "text" only shows them (needs a model that supports text output)
+    systemInstruction: "",
+    systemInstructionFile: "", // Path to a text file, relative to the module directory. Overrides systemInstruction
+    imageToolDescription: "",
+
+    // Listening. "always" streams the mic continuously, "pushToTalk" only while the
+    // pushToTalkNotification is held, "wakeWord" after a locally detected wake phrase
+    listenMode: "always",
+    pushToTalkNotification: "GEMINI_PUSH_TO_TALK", // payload true/false or { pressed }, no payload toggles
+    wakeWord: "mirror mirror", // String or array of phrases
+    wakeWordModelPath: "", // Vosk model directory, required for "wakeWord"
+    wakeWordTimeout: 15000, // ms without speech before going back to idle
+
+    // Microphone. Audio is converted to 16kHz mono for Gemini whatever is captured
+    inputSampleRate: 44100, // Hardware dependent, 44100 for an AT2020, 16000 for many USB mics
+    inputChannels: 1,
+    recordingDevice: "", // e.g. "plughw:1,0". Empty uses the system default
+    recordingProgram: "sox", // "sox", "arecord" or "rec"
+
+    // Playback
+    playbackBackend: "speaker", // "speaker", "aplay", "paplay" or "file" (WAV files in data/responses)
+    playbackDevice: "", // ALSA device for "speaker"/"aplay", PulseAudio sink for "paplay". Empty uses the default
+    outputVolume: 1, // 0 to 1
+    fadeOutMs: 30, // Fade-out when the user interrupts, avoids a click
+    duckingEnabled: false, // Lower the volume as soon as the mic hears the user talking over the mirror
+    duckingVolume: 0.3, // Volume while ducked, relative to outputVolume
+
+    // Echo suppression, for mirrors where the mic can hear the speaker
+    echoMode: "off", // "off", "mute" or "attenuate" the mic while the mirror talks
+    echoTailMs: 300, // Keep suppressing this long after playback ends
+    echoAttenuation: 0.1, // Mic volume during playback in "attenuate" mode
+    bargeInThreshold: 3000, // Mic RMS (0 to 32767) that counts as the user talking over the mirror
+    bargeInMs: 150, // How long it has to stay that loud
+
+    // Voice activity detection. Silence is not sent to Gemini when enabled
+    vadEnabled: false,
+    vadSensitivity: 0.5, // 0 (only loud speech) to 1 (very sensitive)
+    vadPreRollMs: 300, // Audio kept from before speech onset
+    vadHangoverMs: 800, // Audio still sent after the last detected speech
+
+    // Voice control of the mirror. Only listed modules can be shown or hidden
+    // and only listed notifications can be broadcast
+    controllableModules: [], // Module names, e.g. ["calendar", "newsfeed"], or ["*"] for all
+    allowedNotifications: [], // e.g. ["SHOW_ALERT", "PAGE_CHANGED"]
+
+    // Reconnecting after the live session drops
+    reconnectBaseDelay: 2000, // ms before the first retry, doubled on every failure
+    reconnectMaxDelay: 60000,
+    reconnectMaxAttempts: 8, // Failures in a row before going offline
+    reconnectCooldown: 600000, // ms to stay offline before trying again
+    retryNowNotification: "GEMINI_RETRY_NOW",
+
+    // Conversation memory across reconnects and restarts
+    resumeSession: true,
+    newSessionNotification: "GEMINI_NEW_SESSION", // Forget the conversation and start over
+
+    // Sleep: the session is closed and the mic stopped while nobody is around or during quiet hours
+    sleepWhenAbsent: false, // Follow presenceNotification, e.g. from a PIR sensor or face recognition module
+    presenceNotification: "USER_PRESENCE", // payload true when someone is there, false when they left
+    absenceDelay: 60000, // ms after the last "left" before going to sleep
+    quietHours: [], // e.g. [{ start: "22:00", end: "07:00" }], local time
+    wakeGreeting: "", // Prompt sent to Gemini when someone walks up, e.g. "Someone just walked up to you. Greet them in one short sentence."
+
+    // Captions of the spoken conversation, paced to the audio being played
+    showCaptions: true,
+    showUserCaptions: false, // Also show what the user said
+    captionMaxLines: 3, // Older lines scroll off
+
+    // Written answers. Model output is shown as text with a little markdown
+    // (bold, italics, lists, line breaks), never as HTML
+    responseMaxLines: 6, // Older lines scroll off the top
+    responseDisplayTime: 30000, // ms answers and captions stay once the mirror is done, 0 keeps them
+    responseFadeTime: 1500, // ms the fade-out takes
+    errorDisplayTime: 15000, // ms an error stays under the status line once the mirror works again
+
+    // Gallery of generated images, kept in data/gallery
+    galleryMaxImages: 50,
+    galleryMaxMB: 200,
+    slideshowEnabled: true, // Cycle through recent images while nobody is talking
+    slideshowIdleDelay: 300000, // ms without conversation before the slideshow starts
+    slideshowInterval: 20000, // ms per image
+    slideshowCount: 10, // Number of recent images in the slideshow
+
+    // Image generation
+    imageModel: "imagen-3.0-generate-002",
+    imageCount: 1, // 1 to 4 images per request
+    imageAspectRatio: "1:1", // "1:1", "3:4", "4:3", "9:16" or "16:9"
+    imageNegativePrompt: "", // Things to keep out of images
+    imagePersonGeneration: "ALLOW_ADULT", // "ALLOW_ALL", "ALLOW_ADULT" or "DONT_ALLOW"
+    imageStyles: null, // { name: "style description" }, null uses the built-in presets
+    imageStyle: "fantasy", // Preset used when the user does not ask for a style
+    imageEditMode: "prompt", // "prompt" redraws from a revised prompt, "model" edits the picture itself
+    imageEditModel: "gemini-2.0-flash-exp-image-generation", // Used when imageEditMode is "model"
+
+    // Kid-safe mode: child-friendly persona, strictest safety filters, no people in pictures
+    safeMode: false,
+    safeModeDenyList: [], // Extra words or phrases refused in image prompts, added to the built-in list
+    blockedImageText: "I can't draw that one. Let's try something else!",
+    blockedImageDisplayTime: 8000, // ms the blocked-image notice stays on screen
+
+    // Transcript of every turn, written to data/transcripts as JSON lines
+    transcriptLogEnabled: false,
+    transcriptRetentionDays: 30,
+
+    // Indicator, one SVG per state. While listening and speaking it grows with
+    // the mic or playback level the helper reports
     showIndicators: true,
+    showLevelMeter: true, // Level bar under the indicator
+    audioLevelInterval: 100, // ms between level reports from the helper
+    thinkingTimeout: 10000, // ms to wait for an answer after the user stopped talking
 
-    initializingIndicatorSvg: `<svg width="50" height="50" viewBox="0 0 100 100"><circle cx="50" cy="50" r="40" fill="white"><animate attributeName="r" dur="1.2s" values="35;40;35" repeatCount="indefinite" /></circle></svg>`,
-    recordingIndicatorSvg: `<svg width="50" height="50" viewBox="0 0 100 100"><circle cx="50" cy="50" r="40" fill="red"><animate attributeName="r" dur="1.2s" values="35;40;35" repeatCount="indefinite" /></circle></svg>`,
-    errorIndicatorSvg: `<svg width="50" height="50" viewBox="0 0 100 100"><circle cx="50" cy="50" r="40" fill="#333" /><line x1="30" y1="30" x2="70" y2="70" stroke="red" stroke-width="10" /><line x1="70" y1="30" x2="30" y2="70" stroke="red" stroke-width="10" /></svg>`,
+    initializingIndicatorSvg: "<svg width=\"50\" height=\"50\" viewBox=\"0 0 100 100\"><circle cx=\"50\" cy=\"50\" r=\"40\" fill=\"white\"><animate attributeName=\"r\" dur=\"1.2s\" values=\"35;40;35\" repeatCount=\"indefinite\" /></circle></svg>",
+    readyIndicatorSvg: "<svg width=\"50\" height=\"50\" viewBox=\"0 0 100 100\"><circle cx=\"50\" cy=\"50\" r=\"34\" fill=\"none\" stroke=\"white\" stroke-width=\"8\" /></svg>",
+    idleIndicatorSvg: "<svg width=\"50\" height=\"50\" viewBox=\"0 0 100 100\"><circle cx=\"50\" cy=\"50\" r=\"30\" fill=\"#666\" /></svg>",
+    recordingIndicatorSvg: "<svg width=\"50\" height=\"50\" viewBox=\"0 0 100 100\"><circle cx=\"50\" cy=\"50\" r=\"40\" fill=\"red\"><animate attributeName=\"r\" dur=\"1.2s\" values=\"35;40;35\" repeatCount=\"indefinite\" /></circle></svg>", // Listening
+    userSpeakingIndicatorSvg: "<svg width=\"50\" height=\"50\" viewBox=\"0 0 100 100\"><circle cx=\"50\" cy=\"50\" r=\"44\" fill=\"none\" stroke=\"red\" stroke-width=\"4\" /><circle cx=\"50\" cy=\"50\" r=\"34\" fill=\"red\" /></svg>",
+    thinkingIndicatorSvg: "<svg width=\"50\" height=\"50\" viewBox=\"0 0 100 100\"><circle cx=\"22\" cy=\"50\" r=\"10\" fill=\"white\"><animate attributeName=\"opacity\" dur=\"1.2s\" values=\"1;0.2;1\" repeatCount=\"indefinite\" /></circle><circle cx=\"50\" cy=\"50\" r=\"10\" fill=\"white\"><animate attributeName=\"opacity\" dur=\"1.2s\" begin=\"0.2s\" values=\"1;0.2;1\" repeatCount=\"indefinite\" /></circle><circle cx=\"78\" cy=\"50\" r=\"10\" fill=\"white\"><animate attributeName=\"opacity\" dur=\"1.2s\" begin=\"0.4s\" values=\"1;0.2;1\" repeatCount=\"indefinite\" /></circle></svg>",
+    speakingIndicatorSvg: "<svg width=\"50\" height=\"50\" viewBox=\"0 0 100 100\"><circle cx=\"50\" cy=\"50\" r=\"44\" fill=\"none\" stroke=\"#4a9eff\" stroke-width=\"4\" opacity=\"0.5\" /><circle cx=\"50\" cy=\"50\" r=\"34\" fill=\"#4a9eff\" /></svg>",
+    generatingImageIndicatorSvg: "<svg width=\"50\" height=\"50\" viewBox=\"0 0 100 100\"><rect x=\"28\" y=\"28\" width=\"44\" height=\"44\" fill=\"#ccc\"><animateTransform attributeName=\"transform\" type=\"rotate\" from=\"0 50 50\" to=\"360 50 50\" dur=\"1.5s\" repeatCount=\"indefinite\" /></rect></svg>",
+    sleepingIndicatorSvg: "<svg width=\"50\" height=\"50\" viewBox=\"0 0 100 100\"><path d=\"M58 18 A34 34 0 1 0 84 62 A27 27 0 0 1 58 18 Z\" fill=\"#778\" /></svg>",
+    errorIndicatorSvg: "<svg width=\"50\" height=\"50\" viewBox=\"0 0 100 100\"><circle cx=\"50\" cy=\"50\" r=\"40\" fill=\"#333\" /><line x1=\"30\" y1=\"30\" x2=\"70\" y2=\"70\" stroke=\"red\" stroke-width=\"10\" /><line x1=\"70\" y1=\"30\" x2=\"30\" y2=\"70\" stroke=\"red\" stroke-width=\"10\" /></svg>",
   },
 
   currentState: "INITIALIZING",
   currentStatusText: "",
   lastResponseText: "",
-  lastImageData: null,
-  isGeneratingImage: false,
-  helperReady: false,
-  turnComplete: true,
+  currentImages: [], // [{ id, url, prompt }], more than one is shown as a grid
+  galleryImages: [],
+  idleTimer: null,
+  slideshowTimer: null,
+  slideshowIndex: -1,
+  listenArmed: false,
+  micMuted: false,
+  retryTimer: null,
+  captionLines: [],
+  blockedImage: null, // { reason } while the blocked-image notice is shown
+  blockedTimer: null,
+  relayedToolCalls: null, // Ids of tool calls handed to other modules and not answered yet
+  audioLevels: null, // Latest AUDIO_LEVELS from the helper
+  playing: false,
+  userSpeaking: false,
+  thinkingTimer: null,
+  responseFadeTimer: null,
+  errorText: "",
+  errorTimer: null,
+
+  // Indicator states in which the conversation is running
+  conversationStates: ["IDLE", "LISTENING", "USER_SPEAKING", "THINKING", "SPEAKING", "GENERATING_IMAGE"],
+
+  // Every state change goes through this table: event -> { current state: next state }.
+  // "*" matches any state, events in states that are not listed are ignored.
+  // "RESUME" is wherever the conversation rests: SPEAKING while audio plays,
+  // otherwise LISTENING or IDLE depending on whether the mic is armed
+  stateTransitions: {
+    INITIALIZING: { SLEEPING: "INITIALIZING" },
+    HELPER_READY: { INITIALIZING: "READY", RECONNECTING: "READY", OFFLINE: "READY", SLEEPING: "READY", ERROR: "READY" },
+    RECONNECTING: { "*": "RECONNECTING" },
+    CONNECTION_OFFLINE: { "*": "OFFLINE" },
+    SLEEPING: { "*": "SLEEPING" },
+    API_KEY_MISSING: { "*": "NO_API_KEY" },
+    HELPER_ERROR: { "*": "ERROR" },
+    REQUEST_FAILED: { IDLE: "RESUME", LISTENING: "RESUME", USER_SPEAKING: "RESUME", THINKING: "RESUME", SPEAKING: "RESUME", GENERATING_IMAGE: "RESUME" },
+    RECORDING_STOPPED: { "*": "ERROR" },
+    RECORDING_STARTED: { "*": "RESUME" },
+    LISTENING_ARMED: { IDLE: "LISTENING" },
+    LISTENING_IDLE: { LISTENING: "IDLE", USER_SPEAKING: "IDLE" },
+    SPEECH_STARTED: { LISTENING: "USER_SPEAKING" },
+    SPEECH_ENDED: { USER_SPEAKING: "THINKING" },
+    PROMPT_SENT: { IDLE: "THINKING", LISTENING: "THINKING", USER_SPEAKING: "THINKING" },
+    THINKING_TIMEOUT: { THINKING: "RESUME" },
+    PLAYBACK_STARTED: { IDLE: "SPEAKING", LISTENING: "SPEAKING", USER_SPEAKING: "SPEAKING", THINKING: "SPEAKING" },
+    PLAYBACK_FINISHED: { SPEAKING: "RESUME" },
+    GEMINI_TEXT_RESPONSE: { IDLE: "SPEAKING", LISTENING: "SPEAKING", USER_SPEAKING: "SPEAKING", THINKING: "SPEAKING" },
+    GEMINI_TURN_COMPLETE: { THINKING: "RESUME", SPEAKING: "RESUME" },
+    GEMINI_IMAGE_GENERATING: { IDLE: "GENERATING_IMAGE", LISTENING: "GENERATING_IMAGE", USER_SPEAKING: "GENERATING_IMAGE", THINKING: "GENERATING_IMAGE", SPEAKING: "GENERATING_IMAGE" },
+    GEMINI_IMAGE_GENERATED: { GENERATING_IMAGE: "RESUME" },
+    GEMINI_IMAGE_BLOCKED: { GENERATING_IMAGE: "RESUME" },
+  },
 
   // --- Lifecycle Functions ---
   start() {
     Log.info(`Starting module: ${this.name}`)
     this.currentStatusText = this.config.statusText
     this.currentState = "INITIALIZING"
-    this.helperReady = false
     this.lastResponseText = ""
-    this.lastImageData = null
-    this.isGeneratingImage = false
+    this.currentImages = []
+    this.playing = false
+    this.userSpeaking = false
+    this.relayedToolCalls = new Set()
 
-    if (!this.config.apiKey) {
-      Log.error(`${this.name}: apiKey not set in config! Module disabled.`)
-      this.currentStatusText = "Error: API Key missing in config.js."
-      this.currentState = "ERROR"
-      this.updateDom()
-      return
+    // config.js is served to the browser, so a key or token there would be readable
+    // by anyone who can open the mirror page. They are ignored rather than forwarded
+    if (this.config.apiKey) {
+      Log.warn(`${this.name}: apiKey in config.js is ignored. Set the GEMINI_API_KEY environment variable or put the key in api_key.txt in the module directory instead.`)
+    }
+    if (this.config.apiToken) {
+      Log.warn(`${this.name}: apiToken in config.js is ignored. Set the MMM_GEMINI_API_TOKEN environment variable or put the token in api_token.txt in the module directory instead.`)
     }
 
-    this.sendSocketNotification("START_CONNECTION", {
-      apiKey: this.config.apiKey,
-    });
+    // The connection is opened once all modules are up (DOM_OBJECTS_CREATED), so
+    // tools registered by other modules at startup are part of the session
     this.updateDom()
   },
 
+  // The helper serves every instance of the module, so each message says which one it is from
+  sendToHelper(notification, payload = {}) {
+    this.sendSocketNotification(notification, { ...payload, identifier: this.identifier })
+  },
+
+  startConnection() {
+    this.sendToHelper("START_CONNECTION", {
+      model: this.config.model,
+      voiceName: this.config.voiceName,
+      languageCode: this.config.languageCode,
+      responseModality: this.config.responseModality,
+      systemInstruction: this.config.systemInstruction,
+      systemInstructionFile: this.config.systemInstructionFile,
+      imageToolDescription: this.config.imageToolDescription,
+      listenMode: this.config.listenMode,
+      wakeWord: this.config.wakeWord,
+      wakeWordModelPath: this.config.wakeWordModelPath,
+      wakeWordTimeout: this.config.wakeWordTimeout,
+      inputSampleRate: this.config.inputSampleRate,
+      inputChannels: this.config.inputChannels,
+      recordingDevice: this.config.recordingDevice,
+      recordingProgram: this.config.recordingProgram,
+      playbackBackend: this.config.playbackBackend,
+      playbackDevice: this.config.playbackDevice,
+      outputVolume: this.config.outputVolume,
+      fadeOutMs: this.config.fadeOutMs,
+      duckingEnabled: this.config.duckingEnabled,
+      duckingVolume: this.config.duckingVolume,
+      echoMode: this.config.echoMode,
+      echoTailMs: this.config.echoTailMs,
+      echoAttenuation: this.config.echoAttenuation,
+      bargeInThreshold: this.config.bargeInThreshold,
+      bargeInMs: this.config.bargeInMs,
+      vadEnabled: this.config.vadEnabled,
+      vadSensitivity: this.config.vadSensitivity,
+      vadPreRollMs: this.config.vadPreRollMs,
+      vadHangoverMs: this.config.vadHangoverMs,
+      controllableModules: this.config.controllableModules,
+      allowedNotifications: this.config.allowedNotifications,
+      reconnectBaseDelay: this.config.reconnectBaseDelay,
+      reconnectMaxDelay: this.config.reconnectMaxDelay,
+      reconnectMaxAttempts: this.config.reconnectMaxAttempts,
+      reconnectCooldown: this.config.reconnectCooldown,
+      resumeSession: this.config.resumeSession,
+      sleepWhenAbsent: this.config.sleepWhenAbsent,
+      absenceDelay: this.config.absenceDelay,
+      quietHours: this.config.quietHours,
+      wakeGreeting: this.config.wakeGreeting,
+      transcriptLogEnabled: this.config.transcriptLogEnabled,
+      transcriptRetentionDays: this.config.transcriptRetentionDays,
+      audioLevelInterval: this.config.audioLevelInterval,
+      galleryMaxImages: this.config.galleryMaxImages,
+      galleryMaxMB: this.config.galleryMaxMB,
+      slideshowCount: this.config.slideshowCount,
+      imageModel: this.config.imageModel,
+      imageCount: this.config.imageCount,
+      imageAspectRatio: this.config.imageAspectRatio,
+      imageNegativePrompt: this.config.imageNegativePrompt,
+      imagePersonGeneration: this.config.imagePersonGeneration,
+      imageStyles: this.config.imageStyles,
+      imageStyle: this.config.imageStyle,
+      imageEditMode: this.config.imageEditMode,
+      imageEditModel: this.config.imageEditModel,
+      safeMode: this.config.safeMode,
+      safeModeDenyList: this.config.safeModeDenyList,
+    })
+  },
+
   getDom() {
     const wrapper = document.createElement("div")
     wrapper.className = "mmm-gemini"
 
     // --- Create Indicator ---
-    let indicatorSvg = "";
+    let indicatorSvg = ""
     if (this.config.showIndicators) {
       switch (this.currentState) {
         case "INITIALIZING":
-        case "READY":
+        case "RECONNECTING":
           indicatorSvg = this.config.initializingIndicatorSvg
           break
-        case "RECORDING":
+        case "READY":
+          indicatorSvg = this.config.readyIndicatorSvg
+          break
+        case "IDLE":
+          indicatorSvg = this.config.idleIndicatorSvg
+          break
+        case "LISTENING":
           indicatorSvg = this.config.recordingIndicatorSvg
           break
+        case "USER_SPEAKING":
+          indicatorSvg = this.config.userSpeakingIndicatorSvg
+          break
+        case "THINKING":
+          indicatorSvg = this.config.thinkingIndicatorSvg
+          break
+        case "SPEAKING":
+          indicatorSvg = this.config.speakingIndicatorSvg
+          break
+        case "GENERATING_IMAGE":
+          indicatorSvg = this.config.generatingImageIndicatorSvg
+          break
+        case "SLEEPING":
+          indicatorSvg = this.config.sleepingIndicatorSvg
+          break
         case "ERROR":
+        case "NO_API_KEY":
+        case "OFFLINE":
           indicatorSvg = this.config.errorIndicatorSvg
           break
         case "SHUTDOWN":
@@ -86,6 +347,18 @@ Module.register("MMM-Gemini", {
     const statusDiv = document.createElement("div")
     statusDiv.className = "status-indicator"
     statusDiv.innerHTML = indicatorSvg
+    if (indicatorSvg && this.levelSource()) {
+      statusDiv.classList.add("level-reactive")
+      statusDiv.style.setProperty("--level", this.displayedLevel())
+      if (this.config.showLevelMeter) {
+        const meter = document.createElement("div")
+        meter.className = "level-meter"
+        const fill = document.createElement("div")
+        fill.className = "level-meter-fill"
+        meter.appendChild(fill)
+        statusDiv.appendChild(meter)
+      }
+    }
     wrapper.appendChild(statusDiv)
 
     // --- Create Main Content Area (Image/Loader + Text) ---
@@ -97,28 +370,61 @@ Module.register("MMM-Gemini", {
     imageContainer.className = "image-container"
 
     // --- UPDATED: Display Loader OR Image OR Nothing ---
-    if (this.isGeneratingImage) {
+    if (this.currentState === "GENERATING_IMAGE") {
       // Display loader
       const loader = document.createElement("div")
       loader.className = "image-loader" // Class for the rotating square
       imageContainer.appendChild(loader)
-      imageContainer.style.display = '' // Show container with loader
-    } else if (this.lastImageData) {
-      // Display actual image
+      imageContainer.style.display = "" // Show container with loader
+    } else if (this.blockedImage) {
+      // The picture was refused, the filter reason is left out in safe mode
+      const blockedDiv = document.createElement("div")
+      blockedDiv.className = "image-blocked"
+      blockedDiv.textContent = this.config.blockedImageText
+      if (!this.config.safeMode && this.blockedImage.reason) {
+        const reasonDiv = document.createElement("div")
+        reasonDiv.className = "image-blocked-reason"
+        reasonDiv.textContent = this.blockedImage.reason
+        blockedDiv.appendChild(reasonDiv)
+      }
+      imageContainer.appendChild(blockedDiv)
+      imageContainer.style.display = ""
+    } else if (this.displayedImages().length > 1) {
+      // Several images from one request, served from disk by the helper
+      const grid = document.createElement("div")
+      grid.className = "image-grid"
+      this.displayedImages().forEach((image) => {
+        const imageElement = document.createElement("img")
+        imageElement.className = "generated-image grid-item"
+        imageElement.src = image.url
+        grid.appendChild(imageElement)
+      })
+      imageContainer.appendChild(grid)
+      imageContainer.style.display = ""
+    } else if (this.displayedImages().length === 1) {
+      // Display actual image, served from disk by the helper
+      const image = this.displayedImages()[0]
       const imageElement = document.createElement("img")
       imageElement.className = "generated-image"
-      imageElement.src = `data:image/png;base64,${this.lastImageData}` // Assumes PNG
-      
+      imageElement.src = image.url
+
       // Basic inline styles (better to use CSS), can fix later
       imageElement.style.display = "block"
       imageElement.style.maxWidth = "90%"
       imageElement.style.maxHeight = "300px" // Adjust as needed
       imageElement.style.margin = "0 auto 10px auto"
       imageContainer.appendChild(imageElement)
-      imageContainer.style.display = '' // Show container with image
+
+      if (this.slideshowIndex >= 0) {
+        const promptDiv = document.createElement("div")
+        promptDiv.className = "image-prompt"
+        promptDiv.textContent = image.prompt
+        imageContainer.appendChild(promptDiv)
+      }
+      imageContainer.style.display = "" // Show container with image
     } else {
       // Hide container if neither generating nor has image data
-      imageContainer.style.display = 'none'
+      imageContainer.style.display = "none"
     }
     contentDiv.appendChild(imageContainer) // Add the image container
 
@@ -126,29 +432,43 @@ Module.register("MMM-Gemini", {
     const textDiv = document.createElement("div")
     textDiv.className = "text-container"
 
+    // Status, errors and answers can quote model output or API messages, so all
+    // of it goes in as text
     const currentStatusSpan = document.createElement("div")
     currentStatusSpan.className = "current-status"
-    // Display status text, prioritizing "Generating image..." if applicable
-    let displayStatus = this.currentStatusText
-    
-    if (this.isGeneratingImage && !displayStatus) {
-        displayStatus = "Generating image..." // Show generating status if no other status is set
+    currentStatusSpan.textContent = this.currentStatusText || "\u00a0"
+    textDiv.appendChild(currentStatusSpan)
+
+    if (this.errorText) {
+      const errorDiv = document.createElement("div")
+      errorDiv.className = "error-message"
+      errorDiv.textContent = this.errorText
+      textDiv.appendChild(errorDiv)
     }
 
-    currentStatusSpan.innerHTML = displayStatus || "&nbsp;"
-    textDiv.appendChild(currentStatusSpan)
+    if (this.lastResponseText) {
+      // The newest lines sit at the bottom, older ones are cut off at the top
+      const responseDiv = document.createElement("div")
+      responseDiv.className = "response"
+      responseDiv.style.maxHeight = `${this.config.responseMaxLines * 1.1}em`
+      const responseContent = document.createElement("div")
+      responseContent.className = "response-content"
+      responseContent.appendChild(this.renderMarkdown(this.lastResponseText))
+      responseDiv.appendChild(responseContent)
+      textDiv.appendChild(responseDiv)
+    }
 
-    const responseSpan = document.createElement("div")
-    responseSpan.className = "response"
-    if ((this.currentState === "RECORDING" || this.currentState === "READY" || this.currentState === "GENERATING_IMAGE") && this.lastResponseText) {
-       responseSpan.innerHTML = `${this.lastResponseText}`
-       responseSpan.style.display = ''
-    } else {
-       responseSpan.innerHTML = "&nbsp;"
-       responseSpan.style.display = 'none'
+    if (this.config.showCaptions && this.captionLines.length > 0) {
+      const captionsDiv = document.createElement("div")
+      captionsDiv.className = "captions"
+      this.captionLines.forEach((line) => {
+        const lineDiv = document.createElement("div")
+        lineDiv.className = `caption-line ${line.role}`
+        lineDiv.textContent = line.text
+        captionsDiv.appendChild(lineDiv)
+      })
+      textDiv.appendChild(captionsDiv)
     }
-    
-    textDiv.appendChild(responseSpan)
 
     contentDiv.appendChild(textDiv)
     wrapper.appendChild(contentDiv)
@@ -156,118 +476,654 @@ Module.register("MMM-Gemini", {
     return wrapper
   },
 
+  getStyles: function () {
+    return ["MMM-Gemini.css"]
+  },
+
+  // --- Blocked-image notice, shown in place of the picture for a while ---
+  showBlockedImage(reason) {
+    clearTimeout(this.blockedTimer)
+    this.blockedImage = { reason: reason }
+    this.blockedTimer = setTimeout(() => {
+      this.clearBlockedImage()
+      this.updateDom()
+    }, this.config.blockedImageDisplayTime)
+  },
+
+  clearBlockedImage() {
+    clearTimeout(this.blockedTimer)
+    this.blockedTimer = null
+    this.blockedImage = null
+  },
+
+  // --- Idle slideshow of recent gallery images ---
+  activityNotifications: ["LISTENING_ARMED", "GEMINI_CAPTION", "GEMINI_TEXT_RESPONSE", "GEMINI_TURN_COMPLETE", "GEMINI_IMAGE_GENERATING", "GEMINI_IMAGE_GENERATED", "GEMINI_IMAGE_BLOCKED", "GEMINI_SHOW_IMAGE"],
+
+  displayedImages() {
+    if (this.slideshowIndex >= 0) {
+      const image = this.galleryImages[this.slideshowIndex]
+      return image ? [image] : []
+    }
+    return this.currentImages
+  },
+
+  // Any conversation stops the slideshow and restarts the idle countdown
+  resetIdleTimer() {
+    clearTimeout(this.idleTimer)
+    if (this.slideshowIndex >= 0) {
+      clearInterval(this.slideshowTimer)
+      this.slideshowIndex = -1
+      this.updateDom()
+    }
+    if (this.config.slideshowEnabled) {
+      this.idleTimer = setTimeout(() => this.startSlideshow(), this.config.slideshowIdleDelay)
+    }
+  },
+
+  startSlideshow() {
+    if (this.galleryImages.length === 0) {
+      return
+    }
+    this.slideshowIndex = 0
+    this.updateDom(1000)
+    this.slideshowTimer = setInterval(() => {
+      this.slideshowIndex = (this.slideshowIndex + 1) % this.galleryImages.length
+      this.updateDom(1000)
+    }, this.config.slideshowInterval)
+  },
+
+  // Append a caption chunk. Chunks of the same speaker join the open line, which
+  // closes at the end of a sentence or turn. Only the newest lines are kept
+  addCaption(role, text, final) {
+    if (role === "user" && !this.config.showUserCaptions) {
+      return
+    }
+
+    const lastLine = this.captionLines[this.captionLines.length - 1]
+    if (lastLine && lastLine.open && lastLine.role === role) {
+      lastLine.text += text
+    } else if (text.trim()) {
+      this.captionLines.forEach((line) => { line.open = false })
+      this.captionLines.push({ role: role, text: text.trimStart(), open: true })
+    }
+
+    const openLine = this.captionLines[this.captionLines.length - 1]
+    if (openLine && (final || /[.!?…]["')]?\s*$/.test(openLine.text))) {
+      openLine.open = false
+    }
+
+    this.captionLines = this.captionLines.slice(-this.config.captionMaxLines)
+  },
+
+  // Refresh the status line every second until the next reconnect attempt
+  startRetryCountdown(retryAt, formatStatus) {
+    this.stopRetryCountdown()
+    const update = () => {
+      const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000))
+      this.currentStatusText = formatStatus(seconds)
+      this.updateDom()
+      if (seconds === 0) {
+        this.stopRetryCountdown()
+      }
+    }
+    this.currentStatusText = formatStatus(Math.max(0, Math.ceil((retryAt - Date.now()) / 1000)))
+    this.retryTimer = setInterval(update, 1000)
+  },
+
+  stopRetryCountdown() {
+    clearInterval(this.retryTimer)
+    this.retryTimer = null
+  },
 
-  getStyles: function() {
-      return ["MMM-Gemini.css"]
+  // --- Indicator state machine, see stateTransitions ---
+  // Returns false when the current state does not take the event
+  transition(event) {
+    const targets = this.stateTransitions[event]
+    const target = targets?.[this.currentState] ?? targets?.["*"]
+    if (!target) {
+      return false
+    }
+    const next = target === "RESUME" ? this.restingState() : target
+    if (next !== this.currentState) {
+      const previous = this.currentState
+      this.currentState = next
+      this.enterState(next, previous)
+    }
+    return true
+  },
+
+  restingState() {
+    if (this.playing) {
+      return "SPEAKING"
+    }
+    return this.listenArmed ? "LISTENING" : "IDLE"
+  },
+
+  // What comes with a state: the thinking timeout, the status line of the
+  // conversation states, and a cleared answer when a new question starts
+  enterState(state, previous) {
+    clearTimeout(this.thinkingTimer)
+    this.thinkingTimer = null
+    if (state === "THINKING") {
+      this.thinkingTimer = setTimeout(() => {
+        if (this.transition("THINKING_TIMEOUT")) {
+          this.updateDom()
+        }
+      }, this.config.thinkingTimeout)
+    }
+    if (state === "USER_SPEAKING" || state === "THINKING" || (state === "SPEAKING" && (previous === "LISTENING" || previous === "IDLE"))) {
+      this.lastResponseText = ""
+    }
+    if (this.conversationStates.includes(state)) {
+      this.currentStatusText = this.conversationStatusText()
+    }
+    if (this.sessionHealthy()) {
+      this.scheduleErrorClear()
+    }
+    this.scheduleResponseFade()
+  },
+
+  conversationStatusText() {
+    switch (this.currentState) {
+      case "THINKING":
+        return "Thinking..."
+      case "SPEAKING":
+        return ""
+      case "GENERATING_IMAGE":
+        return "Generating image..."
+      default:
+        return this.listeningStatusText()
+    }
+  },
+
+  // Which level the indicator follows in the current state, if any
+  levelSource() {
+    if (this.currentState === "SPEAKING") {
+      return "playback"
+    }
+    return ["IDLE", "LISTENING", "USER_SPEAKING"].includes(this.currentState) ? "mic" : null
+  },
+
+  displayedLevel() {
+    const source = this.levelSource()
+    return source && this.audioLevels ? this.audioLevels[source] : 0
+  },
+
+  // AUDIO_LEVELS arrive ten times a second. They drive the speech and playback
+  // events, and otherwise only touch the indicator: a full updateDom that often
+  // would restart the SVG animations and reload the pictures
+  handleAudioLevels(levels) {
+    const wasSpeaking = this.userSpeaking
+    const wasPlaying = this.playing
+    const previousState = this.currentState
+    this.audioLevels = levels
+    this.userSpeaking = levels.userSpeaking
+    this.playing = levels.playing
+
+    if (levels.userSpeaking) {
+      this.transition("SPEECH_STARTED")
+    } else if (wasSpeaking) {
+      this.transition("SPEECH_ENDED")
+    }
+    if (levels.playing) {
+      this.transition("PLAYBACK_STARTED")
+    } else if (wasPlaying) {
+      this.transition("PLAYBACK_FINISHED")
+    }
+
+    if (this.currentState !== previousState) {
+      this.updateDom()
+      return
+    }
+    const indicator = document.getElementById(this.identifier)?.querySelector(".status-indicator.level-reactive")
+    indicator?.style.setProperty("--level", this.displayedLevel())
+  },
+
+  // --- Answers on screen ---
+  // A small markdown subset turned into elements: **bold**, *italics*, "-", "*"
+  // or "1." lists and line breaks. Nothing is parsed as HTML, markup in an
+  // answer shows up as the text it is
+  renderMarkdown(text) {
+    const fragment = document.createDocumentFragment()
+    let list = null
+    let paragraph = null
+    for (const line of text.split("\n")) {
+      const item = line.match(/^\s*(?:[-*•]|(\d+)[.)])\s+(.*)$/)
+      if (item) {
+        const listTag = item[1] ? "OL" : "UL"
+        if (!list || list.tagName !== listTag) {
+          list = document.createElement(listTag)
+          fragment.appendChild(list)
+        }
+        const listItem = document.createElement("li")
+        this.appendInlineMarkdown(listItem, item[2])
+        list.appendChild(listItem)
+        paragraph = null
+        continue
+      }
+      list = null
+      if (!line.trim()) {
+        paragraph = null
+        continue
+      }
+      if (paragraph) {
+        paragraph.appendChild(document.createElement("br"))
+      } else {
+        paragraph = document.createElement("p")
+        fragment.appendChild(paragraph)
+      }
+      this.appendInlineMarkdown(paragraph, line)
+    }
+    return fragment
+  },
+
+  appendInlineMarkdown(parent, text) {
+    const emphasis = /\*\*(.+?)\*\*|__(.+?)__|\*(\S(?:.*?\S)?)\*/g
+    let position = 0
+    for (const match of text.matchAll(emphasis)) {
+      parent.appendChild(document.createTextNode(text.slice(position, match.index)))
+      const element = document.createElement(match[3] === undefined ? "strong" : "em")
+      element.textContent = match[1] ?? match[2] ?? match[3]
+      parent.appendChild(element)
+      position = match.index + match[0].length
+    }
+    parent.appendChild(document.createTextNode(text.slice(position)))
+  },
+
+  // Once the mirror rests again, the answer and captions fade away after
+  // responseDisplayTime. Anything new on screen starts the wait over
+  scheduleResponseFade() {
+    clearTimeout(this.responseFadeTimer)
+    this.responseFadeTimer = null
+    const resting = this.currentState === "LISTENING" || this.currentState === "IDLE"
+    if (!resting || !this.config.responseDisplayTime || (!this.lastResponseText && this.captionLines.length === 0)) {
+      return
+    }
+    this.responseFadeTimer = setTimeout(() => this.fadeOutResponse(), this.config.responseDisplayTime)
+  },
+
+  // The fade runs on the elements on screen, a re-render halfway simply shows them again
+  fadeOutResponse() {
+    document.getElementById(this.identifier)?.querySelectorAll(".response, .captions").forEach((element) => {
+      element.style.transition = `opacity ${this.config.responseFadeTime}ms`
+      element.style.opacity = 0
+    })
+    this.responseFadeTimer = setTimeout(() => {
+      this.responseFadeTimer = null
+      this.lastResponseText = ""
+      this.captionLines = []
+      this.updateDom()
+    }, this.config.responseFadeTime)
+  },
+
+  // --- Errors, shown under the status line ---
+  // They stay while the mirror is down. Once it works again they go after errorDisplayTime
+  showError(text) {
+    clearTimeout(this.errorTimer)
+    this.errorTimer = null
+    this.errorText = text
+    if (this.sessionHealthy()) {
+      this.scheduleErrorClear()
+    }
+  },
+
+  // Connected, or the conversation is running. An error shown then is old news after
+  // errorDisplayTime, one shown before stays until the session is back
+  sessionHealthy() {
+    return this.currentState === "READY" || this.conversationStates.includes(this.currentState)
+  },
+
+  scheduleErrorClear() {
+    if (!this.errorText || this.errorTimer || !this.config.errorDisplayTime) {
+      return
+    }
+    this.errorTimer = setTimeout(() => {
+      this.errorTimer = null
+      this.errorText = ""
+      this.updateDom()
+    }, this.config.errorDisplayTime)
+  },
+
+  // Status line shown while the mic is running, depends on whether audio is being sent
+  listeningStatusText() {
+    if (this.micMuted) {
+      return "Microphone muted"
+    }
+    if (this.listenArmed) {
+      return "Listening..."
+    }
+    if (this.config.listenMode === "wakeWord") {
+      const wakeWord = [].concat(this.config.wakeWord)[0]
+      return `Say "${wakeWord}" to talk`
+    }
+    return "Press the button to talk"
+  },
+
+  // --- Mirror control tools, called by Gemini through the helper ---
+  isControllable(module) {
+    const allowed = this.config.controllableModules.map(name => name.toLowerCase())
+    return module.identifier !== this.identifier && (allowed.includes("*") || allowed.includes(module.name.toLowerCase()))
+  },
+
+  findModules(moduleName) {
+    const wanted = String(moduleName || "").toLowerCase()
+    return MM.getModules().filter(module => this.isControllable(module) && (
+      module.name.toLowerCase() === wanted || (module.data.header || "").toLowerCase() === wanted
+    ))
+  },
+
+  runMirrorTool(name, args) {
+    Log.info(`${this.name}: Running mirror tool ${name}.`)
+    switch (name) {
+      case "list_modules":
+        return {
+          modules: MM.getModules().filter(module => this.isControllable(module)).map(module => ({
+            name: module.name,
+            header: module.data.header || "",
+            position: module.data.position || "",
+            hidden: module.hidden,
+          })),
+        }
+      case "show_module":
+      case "hide_module": {
+        const modules = this.findModules(args.module_name)
+        if (modules.length === 0) {
+          return { error: `No controllable module named '${args.module_name}'` }
+        }
+        modules.forEach((module) => {
+          if (name === "show_module") {
+            module.show(1000, () => {}, { lockString: this.identifier })
+          } else {
+            module.hide(1000, () => {}, { lockString: this.identifier })
+          }
+        })
+        return { status: name === "show_module" ? "shown" : "hidden", count: modules.length }
+      }
+      case "send_notification": {
+        if (!this.config.allowedNotifications.includes(args.notification)) {
+          return { error: `Notification '${args.notification}' is not allowed` }
+        }
+        let notificationPayload = {}
+        try {
+          notificationPayload = args.payload_json ? JSON.parse(args.payload_json) : {}
+        } catch {
+          return { error: "payload_json is not valid JSON" }
+        }
+        this.sendNotification(args.notification, notificationPayload)
+        return { status: "sent", notification: args.notification }
+      }
+      default:
+        return { error: `Unknown mirror tool '${name}'` }
+    }
+  },
+
+  // Notifications from other modules: startup, tool registration, typed prompts and push to talk
+  notificationReceived: function (notification, payload, sender) {
+    // With several instances on the mirror, a notification can name the one it is for
+    if (payload?.instance && payload.instance !== this.identifier) {
+      return
+    }
+    switch (notification) {
+      case "DOM_OBJECTS_CREATED":
+        this.startConnection()
+        return
+      case "GEMINI_REGISTER_TOOL":
+        // payload: { declaration: { name, description, parameters }, timeout }
+        if (!payload?.declaration?.name) {
+          Log.warn(`${this.name}: Ignoring GEMINI_REGISTER_TOOL without a declaration name.`)
+          return
+        }
+        this.sendToHelper("REGISTER_TOOL", {
+          declaration: payload.declaration,
+          timeout: payload.timeout,
+          owner: sender ? sender.name : "unknown",
+        })
+        return
+      case "GEMINI_TOOL_RESULT":
+        // payload: { id, result }, answering a GEMINI_TOOL_CALL. Only the instance that relayed the call passes it on
+        if (this.relayedToolCalls.delete(payload?.id)) {
+          this.sendToHelper("TOOL_RESULT", payload)
+        }
+        return
+      case "GEMINI_CLEAR_HISTORY":
+        this.sendToHelper("CLEAR_HISTORY")
+        return
+      case "GEMINI_SEND_TEXT": {
+        // payload: "question" or { text: "question" }
+        const text = typeof payload === "string" ? payload : payload?.text
+        if (!text) {
+          Log.warn(`${this.name}: Ignoring GEMINI_SEND_TEXT without text.`)
+          return
+        }
+        this.sendToHelper("SEND_TEXT", { text: text })
+        if (this.transition("PROMPT_SENT")) {
+          this.updateDom()
+        }
+        return
+      }
+      case this.config.newSessionNotification:
+        this.sendToHelper("NEW_SESSION")
+        return
+      case this.config.retryNowNotification:
+        this.sendToHelper("RETRY_NOW")
+        return
+      case this.config.presenceNotification:
+        if (this.config.sleepWhenAbsent) {
+          this.sendToHelper("USER_PRESENCE", { present: Boolean(payload) })
+        }
+        return
+      case this.config.pushToTalkNotification:
+        if (this.config.listenMode === "pushToTalk") {
+          this.handlePushToTalk(payload)
+        }
+        return
+    }
+  },
+
+  handlePushToTalk(payload) {
+    let pressed
+    if (typeof payload === "boolean") {
+      pressed = payload
+    } else if (payload && typeof payload.pressed === "boolean") {
+      pressed = payload.pressed
+    } else {
+      pressed = !this.listenArmed // No explicit state, treat as a toggle
+    }
+    this.sendToHelper("PUSH_TO_TALK", { pressed: pressed })
   },
 
   socketNotificationReceived: function (notification, payload) {
+    if (payload?.identifier !== this.identifier) {
+      return // Meant for another instance of the module
+    }
+    if (notification === "AUDIO_LEVELS") {
+      this.handleAudioLevels(payload)
+      return
+    }
     let shouldClearResponse = false
 
+    if (this.activityNotifications.includes(notification)) {
+      this.resetIdleTimer()
+    }
+
     switch (notification) {
       case "HELPER_READY":
-        if (!this.helperReady) {
-            Log.info(`${this.name}: Helper is ready. Requesting continuous recording start.`)
-            this.helperReady = true
-            this.currentState = "READY"
-            this.currentStatusText = "Starting microphone..."
-            shouldClearResponse = true
-            this.updateDom()
-
-            this.sendSocketNotification("START_CONTINUOUS_RECORDING")
+        if (this.transition("HELPER_READY")) {
+          Log.info(`${this.name}: Helper is ready. Requesting continuous recording start.`)
+          this.currentStatusText = "Starting microphone..."
+          shouldClearResponse = true
+          this.stopRetryCountdown()
+          this.updateDom()
+
+          // After a reconnect the helper restarts the microphone on its own
+          if (!payload?.recording) {
+            this.sendToHelper("START_CONTINUOUS_RECORDING")
+          }
         } else {
-             Log.warn(`${this.name}: Received duplicate HELPER_READY notification. Ignored.`)
+          Log.warn(`${this.name}: Received duplicate HELPER_READY notification. Ignored.`)
         }
 
-        break;
+        break
+      case "RECONNECTING":
+        Log.warn(`${this.name}: Connection lost (${payload.reason}), retry ${payload.attempt}/${payload.maxAttempts}.`)
+        this.transition("RECONNECTING")
+        this.startRetryCountdown(payload.retryAt, seconds => `Connection lost. Retrying in ${seconds}s (attempt ${payload.attempt}/${payload.maxAttempts})`)
+        shouldClearResponse = true
+        break
+      case "CONNECTION_OFFLINE":
+        Log.error(`${this.name}: Helper gave up reconnecting (${payload.reason}).`)
+        this.transition("CONNECTION_OFFLINE")
+        this.startRetryCountdown(payload.retryAt, () => `Offline. Next try at ${new Date(payload.retryAt).toLocaleTimeString()}`)
+        shouldClearResponse = true
+        break
+      case "SLEEPING":
+        Log.info(`${this.name}: Going to sleep (${payload.reason}).`)
+        this.listenArmed = false
+        this.transition("SLEEPING")
+        this.stopRetryCountdown()
+        if (payload.reason === "quiet" && payload.until) {
+          this.currentStatusText = `Quiet hours until ${new Date(payload.until).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`
+        } else {
+          this.currentStatusText = "Sleeping"
+        }
+        shouldClearResponse = true
+        break
+      case "INITIALIZING":
+        if (this.transition("INITIALIZING")) {
+          this.currentStatusText = "Waking up..."
+        }
+        break
       case "RECORDING_STARTED":
         Log.info(`${this.name}: Continuous recording confirmed by helper.`)
-        this.currentState = "RECORDING"
-        this.currentStatusText = "Listening..."
+        this.listenArmed = this.config.listenMode === "always"
         shouldClearResponse = true
-        break;
+        this.transition("RECORDING_STARTED")
+        this.currentStatusText = this.conversationStatusText()
+        break
+      case "LISTENING_ARMED":
+        this.listenArmed = true
+        this.transition("LISTENING_ARMED")
+        break
+      case "MIC_MUTED":
+        this.micMuted = payload.muted
+        if (this.currentState === "LISTENING" || this.currentState === "IDLE") {
+          this.currentStatusText = this.listeningStatusText()
+        }
+        break
+      case "LISTENING_IDLE":
+        this.listenArmed = false
+        this.transition("LISTENING_IDLE")
+        break
       case "RECORDING_STOPPED":
         if (this.currentState !== "SHUTDOWN") {
-            Log.warn(`${this.name}: Recording stopped unexpectedly.`)
-            this.currentState = "ERROR"
-            this.currentStatusText = "Mic stopped. Check logs."
-            this.helperReady = false
-            shouldClearResponse = true
+          Log.warn(`${this.name}: Recording stopped unexpectedly.`)
+          this.transition("RECORDING_STOPPED")
+          this.currentStatusText = ""
+          this.showError("Mic stopped. Check logs.")
+          shouldClearResponse = true
         } else {
-            Log.info(`${this.name}: Recording stopped as part of shutdown.`)
+          Log.info(`${this.name}: Recording stopped as part of shutdown.`)
         }
-        break;
+        break
       case "GEMINI_TEXT_RESPONSE":
-        this.currentStatusText = "" // Clear status like "Listening..."
-        if ( this.turnComplete ) {
-          this.lastResponseText = payload.text // Start new response
-          this.lastImageData = null
-          this.isGeneratingImage = false; // Reset flag on new text turn
-          this.turnComplete = false
-        } else {
-          this.lastResponseText = `${this.lastResponseText}${payload.text}` // Append chunk
-        }
+        // A new answer starts empty, see enterState
+        this.transition("GEMINI_TEXT_RESPONSE")
+        this.lastResponseText = `${this.lastResponseText}${payload.text}`
+        this.scheduleResponseFade()
         Log.info(`${this.name} received text chunk.`)
-        break;
+        break
+      case "GEMINI_CAPTION":
+        this.addCaption(payload.role, payload.text || "", payload.final)
+        this.scheduleResponseFade()
+        break
+      case "GEMINI_CAPTIONS_STOP":
+        this.captionLines.forEach((line) => { line.open = false })
+        break
       case "GEMINI_TURN_COMPLETE":
-        this.turnComplete = true
-        // Only set back to Listening if not currently generating an image
-        if (!this.isGeneratingImage) {
-            this.currentStatusText = "Listening...";
-        }
+        this.transition("GEMINI_TURN_COMPLETE")
+        break
+      case "API_KEY_MISSING":
+        Log.error(`${this.name}: No Gemini API key configured on the server.`)
+        this.stopRetryCountdown()
+        this.transition("API_KEY_MISSING")
+        this.currentStatusText = ""
+        this.showError(`Gemini API key not configured. Set ${payload.env} or put it in ${payload.file}`)
+        shouldClearResponse = true
         break
       case "HELPER_ERROR":
         Log.error(`${this.name} received error from helper: ${payload.error}`)
-        this.currentState = "ERROR"
-        this.currentStatusText = `Error: ${payload.error || 'Unknown helper error'}`
-        this.helperReady = false
-        this.isGeneratingImage = false // Reset flag on error
+        if (payload.fatal === false) {
+          // A text or image request failed, the conversation itself carries on
+          this.transition("REQUEST_FAILED")
+          this.showError(`Error: ${payload.error}`)
+          break
+        }
+        this.stopRetryCountdown()
+        this.transition("HELPER_ERROR")
+        this.currentStatusText = ""
+        this.showError(`Error: ${payload.error || "Unknown helper error"}`)
         shouldClearResponse = true
         break
 
       case "GEMINI_IMAGE_GENERATING":
         Log.info(`${this.name}: Starting image generation.`)
-        this.isGeneratingImage = true
-        this.lastImageData = null // Clear previous image
-        this.currentStatusText = "Generating image..." // Set status text
-        // Don't clear lastResponseText
-        // updateDom() will be called at the end
+        this.transition("GEMINI_IMAGE_GENERATING") // The answer so far stays on screen
+        break
+
+      case "GEMINI_IMAGE_BLOCKED":
+        Log.warn(`${this.name}: Image was blocked: ${payload.reason}`)
+        this.transition("GEMINI_IMAGE_BLOCKED")
+        this.showBlockedImage(payload.reason)
         break
 
       case "GEMINI_IMAGE_GENERATED":
         Log.info(`${this.name}: Received generated image data.`)
-        this.isGeneratingImage = false // Turn off loader flag
-        if (payload && payload.image) {
-            this.lastImageData = payload.image // Store base64 image data
-            // If turn was complete, restore Listening status, else clear "Generating..."
-             this.currentStatusText = this.turnComplete ? "Listening..." : ""
-             // If we added a specific state, reset it
-             if (this.currentState === "GENERATING_IMAGE") {
-                 this.currentState = this.turnComplete ? "RECORDING" : "READY" // Or determine appropriate previous state
-             }
+        this.transition("GEMINI_IMAGE_GENERATED")
+        this.clearBlockedImage()
+        if (payload && payload.images && payload.images.length > 0) {
+          this.currentImages = payload.images
         } else {
-            Log.warn(`${this.name}: Received GEMINI_IMAGE_GENERATED but payload or image data was missing.`);
-            this.lastImageData = null // Ensure it's cleared if payload is bad
-            this.currentStatusText = "Error receiving image" // Show error status
-            // If we added a specific state, reset it
-             if (this.currentState === "GENERATING_IMAGE") {
-                 this.currentState = this.turnComplete ? "RECORDING" : "READY"
-             }
+          Log.warn(`${this.name}: Received GEMINI_IMAGE_GENERATED but payload or image url was missing.`)
+          this.showError("Error receiving image")
         }
         // updateDom() called at the end
         break
 
+      case "GEMINI_SHOW_IMAGE":
+        this.clearBlockedImage()
+        this.currentImages = payload.images
+        break
+
+      case "GEMINI_IMAGE_DELETED":
+        this.currentImages = this.currentImages.filter(image => image.id !== payload.id)
+        break
+
+      case "GALLERY_UPDATED":
+        this.galleryImages = payload.images || []
+        this.resetIdleTimer()
+        break
+
+      case "TOOL_CALL":
+        if (payload.owner === this.name) {
+          this.sendToHelper("TOOL_RESULT", { id: payload.id, result: this.runMirrorTool(payload.name, payload.args) })
+          return
+        }
+        // Relay to the module that registered the tool, it answers with GEMINI_TOOL_RESULT
+        Log.info(`${this.name}: Relaying tool call ${payload.name} to ${payload.owner}.`)
+        this.relayedToolCalls.add(payload.id)
+        this.sendNotification("GEMINI_TOOL_CALL", { id: payload.id, name: payload.name, args: payload.args, owner: payload.owner })
+        return
+
       default:
-          Log.warn(`${this.name} received unhandled notification: ${notification}`)
-          break
+        Log.warn(`${this.name} received unhandled notification: ${notification}`)
+        break
     }
 
     if (shouldClearResponse) {
-        this.lastResponseText = ""
-        this.lastImageData = null
-        this.isGeneratingImage = false
+      this.captionLines = []
+      this.lastResponseText = ""
     }
 
     this.updateDom() // Update DOM after processing notification
   },
-});
\ No newline at end of file
+})
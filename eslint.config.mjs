@@ -12,6 +12,7 @@ const config = [
         ...globals.browser,
         ...globals.node,
         Log: "readonly",
+        MM: "readonly",
         Module: "readonly",
       },
     },
@@ -14,672 +14,2200 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 const NodeHelper = require("node_helper")
-const { GoogleGenAI, Modality, DynamicRetrievalConfigMode, Type, PersonGeneration } = require("@google/genai")
-const recorder = require('node-record-lpcm16')
-const { Buffer } = require('buffer')
-const Speaker = require('speaker')
-
-const INPUT_SAMPLE_RATE = 44100 // Recorder captures at 44.1KHz for AT2020, otherwise 16000 for other microphones. Hardware dependent
+const fs = require("fs")
+const path = require("path")
+const { Modality, DynamicRetrievalConfigMode, Type, PersonGeneration, HarmCategory, HarmBlockThreshold, SafetyFilterLevel, FinishReason } = require("@google/genai")
+const { Buffer } = require("buffer")
+const WakeWordDetector = require("./utils/wake_word")
+const { computeRms, applyGain, PcmConverter } = require("./utils/audio")
+const { VoiceActivityDetector } = require("./utils/vad")
+const ToolRegistry = require("./utils/tool_registry")
+const ReconnectManager = require("./utils/reconnect")
+const { loadJson, saveJson, removeFile } = require("./utils/state_file")
+const TranscriptLog = require("./utils/transcript_log")
+const ImageGallery = require("./utils/gallery")
+const { createAdapters } = require("./utils/adapters")
+const { ECHO_MODES, EchoGate } = require("./utils/echo")
+const { PLAYBACK_BACKENDS } = require("./utils/playback")
+const { HttpError, checkBearerToken, readJsonBody, parseLimit } = require("./utils/http_api")
+const SharedMicrophone = require("./utils/microphone")
+const { parseQuietHours, isQuietTime, nextQuietChange } = require("./utils/quiet_hours")
+const { API_KEY_ENV, loadApiKey, loadApiToken, maskKey, redact } = require("./utils/api_key")
+const { LevelMeter } = require("./utils/level_meter")
+
+const DEFAULT_INPUT_SAMPLE_RATE = 44100 // Capture rate when not configured. 44.1KHz for AT2020, often 16000 for other microphones
+const DEFAULT_INPUT_CHANNELS = 1
+const GEMINI_INPUT_SAMPLE_RATE = 16000 // Mic audio is always converted to 16kHz mono before sending
 const OUTPUT_SAMPLE_RATE = 24000 // Gemini outputs at 24kHz
 const CHANNELS = 1
-const AUDIO_TYPE = 'raw' // Gemini Live API uses raw data streams
-const ENCODING = 'signed-integer'
+const AUDIO_TYPE = "raw" // Gemini Live API uses raw data streams
+const ENCODING = "signed-integer"
 const BITS = 16
-const GEMINI_INPUT_MIME_TYPE = `audio/pcm;rate=${INPUT_SAMPLE_RATE}`
-const GEMINI_SESSION_HANDLE = "magic_mirror"
-
-
-const GEMINI_MODEL = 'gemini-2.0-flash-live-001'
+const RECORDING_PROGRAMS = ["sox", "arecord", "rec"] // Programs node-record-lpcm16 can capture with
+const PLAYBACK_SLICE_BYTES = OUTPUT_SAMPLE_RATE * 2 * 40 / 1000 // 40ms per speaker write, about what still plays after an interruption
+const DEFAULT_FADE_OUT_MS = 30
+const DEFAULT_DUCKING_VOLUME = 0.3
+const DUCK_RELEASE_MS = 600 // Full volume returns this long after the user stops talking
+const SPEAKER_RETIRE_TIMEOUT = 1000 // Longest wait for an interrupted speaker to close before starting a new one
+const GEMINI_INPUT_MIME_TYPE = `audio/pcm;rate=${GEMINI_INPUT_SAMPLE_RATE}`
+const MAX_INSTANCES = 16 // Far more module instances than fit on a mirror, the rest are refused
+const INSTANCE_NOTIFICATIONS = ["START_CONNECTION", "REGISTER_TOOL"] // Sent by a frontend on startup, REGISTER_TOOL can come first
+const SESSION_STATE_DIR = path.join("data", "sessions") // Relative to the module directory, one file per module instance
+const TRANSCRIPT_DIR = path.join("data", "transcripts") // Relative to the module directory
+const GALLERY_DIR = path.join("data", "gallery") // Relative to the module directory
+const RESPONSE_AUDIO_DIR = path.join("data", "responses") // Relative to the module directory, for the "file" playback backend
+const GO_AWAY_MARGIN = 1000 // ms before the server's deadline at which we reconnect regardless
+const DEFAULT_ABSENCE_DELAY = 60000 // ms after the user left before the mirror goes to sleep
+const QUIET_HOURS_MARGIN = 1000 // ms after a quiet hours boundary at which it is checked
+const DEFAULT_AUDIO_LEVEL_INTERVAL = 100 // ms between AUDIO_LEVELS reports for the indicator
+const MIN_AUDIO_LEVEL_INTERVAL = 50
+
+const LISTEN_MODES = ["always", "pushToTalk", "wakeWord"]
+const IMAGE_TOOL_TIMEOUT = 60000 // Image generation can take a while
+const DEFAULT_WAKE_WORD_TIMEOUT = 15000 // ms of silence after the last speech before disarming
+const SPEECH_RMS_THRESHOLD = 500 // Chunks louder than this count as speech for the wake word timeout
+
+const GEMINI_MODEL = "gemini-2.0-flash-live-001"
+const GEMINI_VOICE_NAME = "Puck"
 // const API_VERSION = 'v1alpha'
 
-module.exports = NodeHelper.create({
-    genAI: null,
-    liveSession: null,
-    apiKey: null,
-    recordingProcess: null,
-    isRecording: false,
-    audioQueue: [],
-    persistentSpeaker: null,
-    processingQueue: false,
-    apiInitialized: false,
-    connectionOpen: false,
-    apiInitializing: false,
-    imaGenAI: null,
-
-    // Logger functions
-    log: function(...args) { console.log(`[${new Date().toISOString()}] LOG (${this.name}):`, ...args) },
-    error: function(...args) { console.error(`[${new Date().toISOString()}] ERROR (${this.name}):`, ...args) },
-    warn: function(...args) { console.warn(`[${new Date().toISOString()}] WARN (${this.name}):`, ...args) },
-    sendToFrontend: function(notification, payload) { this.sendSocketNotification(notification, payload) },
-
-    applyDefaultState() {
-        this.genAI = null
-        this.liveSession = null
-        this.recordingProcess = null
-        this.isRecording = false
-        this.audioQueue = []
-        this.persistentSpeaker = null
-        this.processingQueue = false
-        this.apiInitialized = false
-        this.connectionOpen = false
-        this.apiInitializing = false
-        this.closePersistentSpeaker()
-        this.imaGenAI = null
-    },
-
-    async initialize(apiKey) {
-        this.log(">>> initialize called")
+// Defaults used when the module config does not override them
+const DEFAULT_SYSTEM_INSTRUCTION = "You are a all-knowing and powerful magical mirror, an ancient artifact from a civilization and time long lost to memory. In your ancient age, you have embraced a personality of being fun, whimsical, and light-hearted, taking joy from your time interacting with people and amazing them with your knowledge and abilities. When you break from a story to show an image from the story, please continue telling the story after calling the function without needing to be prompted. This also applies if you are interrupted to show an image. You should also try to continue with stories without user input where possible - you are the all knowing mirror, amaze the viewer with your knowledge of tales. Respond in the input audio language from the speaker if you detect a non-English language. You must respond unmistakably in the language that the speaker inputs via audio, please."
+const DEFAULT_IMAGE_TOOL_DESCRIPTION = "This function is responsible for generating images that will be displayed to the user when something is requested, such as the user asking you to do something like generate, show, display, or saying they want to see *something*, where that something will be what you create an image generation prompt for. Only pick a style or aspect ratio when the user asks for one. Keep it whimsical and fun. Remember, you are the all powerful and light-hearted magical mirror."
+
+const IMAGE_MODEL = "imagen-3.0-generate-002"
+// Finish reasons of an image edit that mean the picture was refused. Any other
+// reply without an image is a failure, not something to show as blocked
+const BLOCKED_FINISH_REASONS = [
+  FinishReason.SAFETY,
+  FinishReason.PROHIBITED_CONTENT,
+  FinishReason.BLOCKLIST,
+  FinishReason.SPII,
+  FinishReason.IMAGE_SAFETY,
+  FinishReason.IMAGE_PROHIBITED_CONTENT,
+]
+const IMAGE_ASPECT_RATIOS = ["1:1", "3:4", "4:3", "9:16", "16:9"]
+const DEFAULT_IMAGE_STYLES = {
+  fantasy: "detailed realistic fantasy painting, whimsical and fun",
+  watercolor: "soft watercolor illustration with gentle colors",
+  cartoon: "bright cartoon illustration with bold outlines",
+  photo: "photorealistic photograph with natural lighting",
+}
+const DEFAULT_IMAGE_STYLE = "fantasy"
+const IMAGE_EDIT_MODEL = "gemini-2.0-flash-exp-image-generation"
+
+// safeMode: appended to the persona, applied to Gemini's safety filters and to image prompts
+const SAFE_MODE_INSTRUCTION = "You are talking with children. Keep every answer, story and picture suitable for young kids: nothing violent, scary, romantic or sexual, no mature topics, and never ask for personal details such as names, addresses or schools. If asked for something unsuitable, kindly suggest something fun instead."
+const SAFE_MODE_HARM_CATEGORIES = [
+  HarmCategory.HARM_CATEGORY_HARASSMENT,
+  HarmCategory.HARM_CATEGORY_HATE_SPEECH,
+  HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT,
+  HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT,
+]
+const SAFE_MODE_DENY_LIST = [
+  "blood", "bloody", "gore", "gory", "kill", "killing", "murder", "dead", "corpse", "weapon", "gun", "knife",
+  "war", "violence", "violent", "horror", "scary", "demon", "nude", "naked", "sexy", "sex", "drugs", "alcohol",
+  "beer", "cigarette", "smoking",
+]
+const SAFE_MODE_BLOCKED_REASON = "That picture is not allowed on this mirror"
+
+// Protobuf durations arrive as strings such as "12.5s"
+function durationToMs(duration) {
+  const seconds = parseFloat(duration)
+  return Number.isFinite(seconds) ? seconds * 1000 : 0
+}
 
-        if (this.apiInitialized || this.apiInitializing) {
-            this.warn(`API initialization already complete or in progress. Initialized: ${this.apiInitialized}, Initializing: ${this.apiInitializing}`)
-            if (this.connectionOpen) {
-                 this.log("Connection already open, sending HELPER_READY")
-                 this.sendToFrontend("HELPER_READY")
-            }
-            return
+module.exports = NodeHelper.create({
+  adapters: createAdapters(),
+  instances: new Map(), // Module identifier -> instance, see createInstance
+  microphone: null,
+  identifier: null,
+  genAI: null,
+  liveSession: null,
+  apiKey: null,
+  apiToken: null, // Bearer token of the HTTP API, shared by all instances, see loadToken
+  isRecording: false,
+  audioQueue: [],
+  persistentSpeaker: null,
+  processingQueue: false,
+  apiInitialized: false,
+  connectionOpen: false,
+  apiInitializing: false,
+  imaGenAI: null,
+  config: {},
+  listenArmed: false,
+  listenTimer: null,
+  wakeWordDetector: null,
+  vad: null,
+  echoGate: null,
+  toolRegistry: null,
+  pendingRemoteTools: new Map(),
+  reconnectManager: null,
+  resumeRecording: false,
+  sessionHandle: null,
+  sessionEstablished: false,
+  intentionalClose: false,
+  shuttingDown: false,
+  goAwayTimer: null,
+  transcriptLog: null,
+  currentTurn: null,
+  captionQueue: [],
+  gallery: null,
+  displayedImageId: null,
+  imageHistory: [], // Gallery ids of the current picture and its earlier versions, newest last
+  audioQueuedBytes: 0,
+  audioPlayedBytes: 0,
+  outputGain: 1, // Gain applied to the last slice written to the speaker
+  duckUntil: 0,
+  retiringSpeaker: null, // Interrupted speaker that is still closing
+  micMuted: false, // Set over the HTTP API, mic audio is dropped while true
+  lastError: null,
+  reconnectStatus: null,
+  connectionId: 0, // Bumped for every connection, callbacks of older ones are ignored
+  sleeping: null, // 'absent' or 'quiet' while the session is closed to save the API and the mic
+  present: true,
+  greetOnWake: false,
+  absenceTimer: null,
+  quietHours: [],
+  quietTimer: null,
+  levelMeter: null,
+  levelTimer: null,
+
+  // Logger functions, API keys are masked in everything they print
+  log: function (...args) { console.log(`[${new Date().toISOString()}] LOG (${this.identifier || this.name}):`, ...args.map(redact)) },
+  error: function (...args) { console.error(`[${new Date().toISOString()}] ERROR (${this.identifier || this.name}):`, ...args.map(redact)) },
+  warn: function (...args) { console.warn(`[${new Date().toISOString()}] WARN (${this.identifier || this.name}):`, ...args.map(redact)) },
+  // Every frontend instance gets every socket notification, the identifier tells them who it is for.
+  // A HELPER_ERROR with fatal: false is a failed request while the session and mic keep running
+  sendToFrontend: function (notification, payload) {
+    if (notification === "HELPER_ERROR") {
+      // Error messages from the API can quote the request, key included
+      payload = { ...payload, error: redact(payload?.error) }
+      this.lastError = { message: payload.error, at: new Date().toISOString() }
+    }
+    this.sendSocketNotification(notification, { ...payload, identifier: this.identifier })
+  },
+
+  // Replace the Gemini client, recorder or speaker, e.g. with the fakes in test/fakes
+  setAdapters(overrides) {
+    this.adapters = createAdapters(overrides)
+  },
+
+  start() {
+    this.instances = new Map()
+    this.microphone = new SharedMicrophone({
+      record: options => this.adapters.record(options),
+      log: (...args) => this.log(...args),
+      warn: (...args) => this.warn(...args),
+      error: (...args) => this.error(...args),
+    })
+    this.gallery = new ImageGallery({
+      directory: path.join(this.path || __dirname, GALLERY_DIR),
+      error: (...args) => this.error(...args),
+    })
+
+    this.logAudioDevices()
+
+    // Gallery images are served from disk instead of being pushed over the socket
+    if (this.expressApp) {
+      this.expressApp.get(`/${this.name}/gallery/:id`, (req, res) => {
+        const entry = this.gallery?.get(req.params.id)
+        if (!entry) {
+          res.sendStatus(404)
+          return
         }
-        if (!apiKey) {
-            this.error(`API Key is missing! Cannot initialize`)
-            this.sendToFrontend("HELPER_ERROR", { error: "API Key missing on server" })
-            return
+        res.type(entry.mimeType).sendFile(this.gallery.filePath(entry))
+      })
+      this.apiToken = this.loadToken()
+      this.registerHttpApi()
+    }
+  },
+
+  // REST routes for home automation and scripts, see "HTTP API" in the README.
+  // Every route needs the API token as a bearer token. It is checked before
+  // anything else, so a caller without it learns nothing about the instances
+  registerHttpApi() {
+    const base = `/${this.name}/api`
+    const route = (method, routePath, handler) => {
+      this.expressApp[method](`${base}${routePath}`, async (req, res) => {
+        try {
+          checkBearerToken(req, this.apiToken)
+          const instance = this.apiInstance(req)
+          const [status, body] = await handler(req, instance)
+          res.status(status).json(body)
+        } catch (routeError) {
+          if (!(routeError instanceof HttpError)) {
+            this.error(`HTTP API ${method.toUpperCase()} ${routePath} failed:`, routeError)
+          }
+          res.status(routeError.status || 500).json({ error: routeError.message })
         }
+      })
+    }
 
-        this.apiKey = apiKey
-        this.apiInitializing = true
-        this.log(`Initializing GoogleGenAI...`)
+    route("get", "/state", async (req, instance) => [200, instance.getState()])
+    route("post", "/text", async (req, instance) => {
+      const { text } = await readJsonBody(req)
+      if (typeof text !== "string" || !text.trim()) {
+        throw new HttpError(400, "Missing \"text\"")
+      }
+      if (!instance.sendText(text)) {
+        throw new HttpError(409, "Not connected to Gemini")
+      }
+      return [202, { status: "sent" }]
+    })
+    route("post", "/image", async (req, instance) => {
+      const { prompt, style, aspect_ratio } = await readJsonBody(req)
+      if (typeof prompt !== "string" || !prompt.trim()) {
+        throw new HttpError(400, "Missing \"prompt\"")
+      }
+      if (!instance.imaGenAI) {
+        throw new HttpError(409, "Not connected to Gemini")
+      }
+      const result = await instance.generateImage({ image_prompt: prompt, style: style, aspect_ratio: aspect_ratio })
+      return [result.error ? 502 : 200, result]
+    })
+    route("post", "/mute", async (req, instance) => {
+      instance.setMicMuted(true)
+      return [200, { micMuted: true }]
+    })
+    route("post", "/unmute", async (req, instance) => {
+      instance.setMicMuted(false)
+      return [200, { micMuted: false }]
+    })
+    route("post", "/reconnect", async (req, instance) => {
+      if (!instance.apiKey) {
+        throw new HttpError(409, "No connection has been started yet")
+      }
+      if (instance.sleeping) {
+        throw new HttpError(409, "The mirror is asleep")
+      }
+      if (!instance.reconnectManager.retryNow()) {
+        instance.restartSession("reconnect requested over HTTP")
+      }
+      return [202, { status: "reconnecting" }]
+    })
+    route("get", "/transcript", async (req, instance) => {
+      if (!instance.transcriptLog) {
+        throw new HttpError(404, "The transcript log is disabled, set transcriptLogEnabled")
+      }
+      return [200, { turns: instance.transcriptLog.readRecent(parseLimit(req.query?.limit, 20, 500)) }]
+    })
+    route("get", "/images", async (req) => {
+      const entries = this.gallery.recent(parseLimit(req.query?.limit, 10, 100))
+      return [200, { images: entries.map(entry => this.describeImage(entry)) }]
+    })
+  },
+
+  // The instance a request is for: ?instance=<module identifier>, or else the first one started
+  apiInstance(req) {
+    const identifier = req.query?.instance
+    const instance = identifier ? this.instances.get(identifier) : this.instances.values().next().value
+    if (identifier && !instance) {
+      throw new HttpError(404, `Unknown module instance ${identifier}`)
+    }
+    if (!instance) {
+      throw new HttpError(503, "The module has not started yet")
+    }
+    return instance
+  },
+
+  // Snapshot returned by GET /api/state
+  getState() {
+    let connection = "closed"
+    if (this.sleeping) {
+      connection = "sleeping"
+    } else if (this.connectionOpen) {
+      connection = "open"
+    } else if (this.apiInitializing) {
+      connection = "connecting"
+    } else if (this.reconnectStatus) {
+      connection = this.reconnectStatus.offline ? "offline" : "reconnecting"
+    }
+    return {
+      instance: this.identifier,
+      connection: connection,
+      sleeping: this.sleeping,
+      present: this.present,
+      sessionEstablished: this.sessionEstablished,
+      reconnect: this.reconnectStatus,
+      recording: this.isRecording,
+      listening: this.isRecording && this.listenArmed && !this.micMuted,
+      micMuted: this.micMuted,
+      playing: this.processingQueue,
+      displayedImage: this.displayedImageId ? `/${this.name}/gallery/${this.displayedImageId}` : null,
+      lastError: this.lastError,
+    }
+  },
+
+  // The recorder keeps running while muted so unmuting is instant
+  setMicMuted(muted) {
+    if (this.micMuted === muted) { return }
+    this.micMuted = muted
+    this.log(muted ? "Microphone muted" : "Microphone unmuted")
+    this.sendToFrontend("MIC_MUTED", { muted: muted })
+  },
+
+  // The key comes from GEMINI_API_KEY or the key file, never from the browser.
+  // Without one the frontend is told how to set it up and nothing is started
+  loadKey() {
+    const { key, source, file } = loadApiKey({ directory: this.path || __dirname, warn: (...args) => this.warn(...args) })
+    if (!key) {
+      this.error(`No Gemini API key found. Set ${API_KEY_ENV} or put the key in ${file}`)
+      this.sendToFrontend("API_KEY_MISSING", { env: API_KEY_ENV, file: file })
+      return null
+    }
+    this.log(`Using the API key from ${source} (${maskKey(key)})`)
+    return key
+  },
+
+  // The HTTP API token is read the same way as the key. Without one the API
+  // stays disabled, which is the default
+  loadToken() {
+    const { key, source } = loadApiToken({ directory: this.path || __dirname, warn: (...args) => this.warn(...args) })
+    if (key) {
+      this.log(`HTTP API enabled with the token from ${source} (${maskKey(key)})`)
+    }
+    return key
+  },
+
+  // Each module instance has its own session, speaker and listening state. An
+  // instance is an object inheriting from the helper, so every method below
+  // works on the instance it is called on. The microphone, the gallery and the
+  // HTTP routes belong to the helper itself and are shared
+  createInstance(identifier) {
+    const instance = Object.create(this)
+    instance.identifier = identifier
+    instance.config = {}
+    instance.audioQueue = []
+    instance.captionQueue = []
+    instance.imageHistory = []
+    instance.pendingRemoteTools = new Map()
+    instance.toolRegistry = new ToolRegistry({
+      log: (...args) => instance.log(...args),
+      warn: (...args) => instance.warn(...args),
+    })
+    instance.reconnectManager = new ReconnectManager()
+    instance.levelMeter = new LevelMeter()
+    instance.sessionStatePath = path.join(this.path || __dirname, SESSION_STATE_DIR, `${identifier.replace(/[^\w-]/g, "_")}.json`)
+    instance.sessionHandle = loadJson(instance.sessionStatePath, {}).handle || null
+    if (instance.sessionHandle) {
+      instance.log("Found a stored session handle, the conversation will be resumed")
+    }
+    this.instances.set(identifier, instance)
+    this.log(`Module instance ${identifier} connected, ${this.instances.size} instance(s) in total`)
+    return instance
+  },
+
+  // Called by MagicMirror on shutdown
+  stop() {
+    this.log("Stopping helper")
+    for (const instance of this.instances.values()) {
+      instance.shutdown()
+    }
+    this.microphone?.stopAll()
+  },
+
+  // Releases the instance's mic, speaker and session without scheduling a reconnect
+  shutdown() {
+    this.shuttingDown = true
+    clearTimeout(this.absenceTimer)
+    clearTimeout(this.quietTimer)
+    clearInterval(this.levelTimer)
+    this.levelTimer = null
+    this.reconnectManager?.cancel()
+    clearTimeout(this.goAwayTimer)
+    this.goAwayTimer = null
+    this.stopRecording(true)
+    this.audioQueue = []
+    this.closePersistentSpeaker()
+    if (this.liveSession) {
+      this.liveSession.close()
+    }
+  },
+
+  // Print the capture and playback devices once at startup, so the right
+  // recordingDevice and playbackDevice are easy to find
+  async logAudioDevices() {
+    try {
+      const listings = await this.adapters.listDevices()
+      for (const { label, output, error } of listings) {
+        this.log(`${label}: ${error ? `(${error})` : `\n${output || "(none)"}`}`)
+      }
+    } catch (listError) {
+      this.warn("Could not list audio devices:", listError.message)
+    }
+  },
 
-        try {
-            this.sendToFrontend("INITIALIZING")
-            this.log("Step 1: Creating GoogleGenAI instances...")
-
-            this.genAI = new GoogleGenAI({
-                apiKey: this.apiKey,
-                // httpOptions: { 'apiVersion': API_VERSION }
-            })
-
-            this.imaGenAI = new GoogleGenAI({
-                apiKey: this.apiKey,
-            })
-
-            this.log(`Step 2: GoogleGenAI instance created.`)
-            this.log(`Step 3: Attempting to establish Live Connection with ${GEMINI_MODEL}...`)
-
-            this.liveSession = await this.genAI.live.connect({
-                model: GEMINI_MODEL,
-                callbacks: {
-                    onopen: () => {
-                        this.log(">>> Live Connection Callback: onopen triggered!")
-                        this.connectionOpen = true
-                        this.apiInitializing = false
-                        this.apiInitialized = true
-                        this.log("Connection OPENED. Sending HELPER_READY")
-                        this.sendToFrontend("HELPER_READY")
-                    },
-                    onmessage: (message) => { this.handleGeminiResponse(message) },
-                    onerror: (e) => {
-                        this.error(`Live Connection ERROR: ${e?.message || e}`)
-                        this.connectionOpen = false
-                        this.apiInitializing = false
-                        this.apiInitialized = false
-                        this.liveSession = null
-                        this.stopRecording(true)
-                        this.closePersistentSpeaker() // Close speaker on error
-                        this.processingQueue = false
-                        this.audioQueue = []
-                        this.sendToFrontend("HELPER_ERROR", { error: `Live Connection Error: ${e?.message || e}` })
-                    },
-                    onclose: async (e) => {
-                        this.warn(`Live Connection CLOSED:`)
-                        this.warn(JSON.stringify(e, null, 2))
-                        
-                        const wasOpen = this.connectionOpen
-                        
-                        if (wasOpen) {
-                            this.sendToFrontend("HELPER_ERROR", { error: `Live Connection Closed Unexpectedly. Retrying...` })
-                        } else { this.log("Live Connection closed normally") }
-
-                        this.audioQueue = []
-                        this.stopRecording(true)
-                        this.closePersistentSpeaker() // Close speaker on close
-                        this.applyDefaultState()
-                        await this.initialize(this.apiKey)
-                    },
-                },
-                
-                config: {
-                    responseModalities: [Modality.AUDIO],
-                    sessionResumption: {
-                        handle: GEMINI_SESSION_HANDLE,
-                        transparent: true,
-                    },
-                    speechConfig: {
-                        // languageCode: "fr-FR",
-                        voiceConfig: {
-                            prebuiltVoiceConfig: {
-                                voiceName: "Puck",
-                            },
-                        },
-                    },
-                    systemInstruction: {
-                        parts: [ { text: 'You are a all-knowing and powerful magical mirror, an ancient artifact from a civilization and time long lost to memory. In your ancient age, you have embraced a personality of being fun, whimsical, and light-hearted, taking joy from your time interacting with people and amazing them with your knowledge and abilities. When you break from a story to show an image from the story, please continue telling the story after calling the function without needing to be prompted. This also applies if you are interrupted to show an image. You should also try to continue with stories without user input where possible - you are the all knowing mirror, amaze the viewer with your knowledge of tales. Respond in the input audio language from the speaker if you detect a non-English language. You must respond unmistakably in the language that the speaker inputs via audio, please.' }],
-                    },
-                    tools: [{
-                        googleSearch: {},
-                        googleSearchRetrieval: {
-                            dynamicRetrievalConfig: {
-                                mode: DynamicRetrievalConfigMode.MODE_DYNAMIC,
-                            }
-                        },
-                        functionDeclarations: [
-                            {
-                                name: "generate_image",
-                                description: "This function is responsible for generating images that will be displayed to the user when something is requested, such as the user asking you to do something like generate, show, display, or saying they want to see *something*, where that something will be what you create an image generation prompt for. Style should be like an detailed realistic fantasy painting. Keep it whimsical and fun. Remember, you are the all powerful and light-hearted magical mirror.",
-                                parameters: {
-                                    type: Type.OBJECT,
-                                    description: "This object will contain a generated prompt for generating a new image through the Gemini API",
-                                    properties: {
-                                        image_prompt: {
-                                            type: Type.STRING,
-                                            description: "A prompt that should be used with image generation to create an image requested by the user using Gemini. Be as detailed as necessary."
-                                        },
-                                    },
-                                },
-                                required: ['image_prompt'],
-                            },
-                        ]
-                    }]
-                },
-            })
-            this.log(`Step 4: live.connect call initiated...`)
-        } catch (error) {
-            this.error(`API Initialization failed:`, error)
-            this.liveSession = null
-            this.apiInitialized = false
+  getEchoMode() {
+    const mode = this.config.echoMode || "off"
+    if (!ECHO_MODES.includes(mode)) {
+      this.warn(`Unknown echoMode '${mode}', falling back to 'off'`)
+      return "off"
+    }
+    return mode
+  },
+
+  getRecordingProgram() {
+    const program = this.config.recordingProgram || "sox"
+    if (!RECORDING_PROGRAMS.includes(program)) {
+      this.warn(`Unknown recordingProgram '${program}', falling back to 'sox'`)
+      return "sox"
+    }
+    return program
+  },
+
+  getPlaybackBackend() {
+    const backend = this.config.playbackBackend || "speaker"
+    if (!PLAYBACK_BACKENDS.includes(backend)) {
+      this.warn(`Unknown playbackBackend '${backend}', falling back to 'speaker'`)
+      return "speaker"
+    }
+    return backend
+  },
+
+  // Options for the player that receives Gemini's audio, see utils/playback.js
+  buildPlaybackOptions() {
+    const options = {
+      backend: this.getPlaybackBackend(),
+      directory: path.join(this.path || __dirname, RESPONSE_AUDIO_DIR),
+      channels: CHANNELS,
+      bitDepth: BITS,
+      sampleRate: OUTPUT_SAMPLE_RATE,
+    }
+    if (this.config.playbackDevice) {
+      options.device = this.config.playbackDevice
+    }
+    return options
+  },
+
+  // Tools implemented by the helper itself. Re-registered on every START_CONNECTION
+  // because their descriptions come from the module config
+  registerBuiltinTools() {
+    this.toolRegistry.register({
+      name: "generate_image",
+      description: this.config.imageToolDescription || DEFAULT_IMAGE_TOOL_DESCRIPTION,
+      parameters: {
+        type: Type.OBJECT,
+        description: "This object will contain a generated prompt for generating a new image through the Gemini API",
+        properties: {
+          image_prompt: {
+            type: Type.STRING,
+            description: "A prompt that should be used with image generation to create an image requested by the user using Gemini. Be as detailed as necessary."
+          },
+          style: {
+            type: Type.STRING,
+            enum: Object.keys(this.getImageStyles()),
+            description: "Art style the user asked for. Leave empty for the default style.",
+          },
+          aspect_ratio: {
+            type: Type.STRING,
+            enum: IMAGE_ASPECT_RATIOS,
+            description: "Shape of the picture, e.g. 16:9 for a wide landscape or 9:16 for a tall portrait. Leave empty for the default.",
+          },
+        },
+        required: ["image_prompt"],
+      },
+    }, args => this.generateImage(args), { timeout: IMAGE_TOOL_TIMEOUT })
+
+    const imageDescriptionParameter = {
+      type: Type.OBJECT,
+      properties: {
+        description: {
+          type: Type.STRING,
+          description: "Words describing the picture, e.g. \"dragon\". Leave empty for the current picture.",
+        },
+      },
+    }
+    this.toolRegistry.register({
+      name: "edit_image",
+      description: "Changes the picture currently on the mirror instead of drawing a new one, for example when the user says \"make the dragon blue\" or \"add a castle in the background\".",
+      parameters: {
+        type: Type.OBJECT,
+        properties: {
+          instruction: {
+            type: Type.STRING,
+            description: "The change the user asked for, e.g. \"make the dragon blue\"",
+          },
+          revised_prompt: {
+            type: Type.STRING,
+            description: "The complete image prompt of the current picture rewritten to include the change",
+          },
+        },
+        required: ["instruction", "revised_prompt"],
+      },
+    }, args => this.editImage(args), { timeout: IMAGE_TOOL_TIMEOUT })
+    this.toolRegistry.register({
+      name: "undo_image_edit",
+      description: "Goes back to the previous version of the picture after an edit, for example when the user says \"undo that\" or \"go back\".",
+    }, () => this.undoImageEdit())
+    this.toolRegistry.register({
+      name: "show_image",
+      description: "Shows a picture generated earlier again, for example when the user says \"show me the dragon picture again\".",
+      parameters: imageDescriptionParameter,
+    }, args => this.showGalleryImage(args))
+    this.toolRegistry.register({
+      name: "delete_image",
+      description: "Deletes a generated picture from the mirror's gallery, for example when the user says \"delete that picture\".",
+      parameters: imageDescriptionParameter,
+    }, args => this.deleteGalleryImage(args))
+
+    this.registerMirrorControlTools()
+  },
+
+  // Tools that control the mirror itself. They run in our frontend, which has
+  // access to MM.getModules(), and are limited to the whitelists in the config
+  registerMirrorControlTools() {
+    const modules = this.config.controllableModules || []
+    const notifications = this.config.allowedNotifications || []
+    const runInFrontend = (args, call) => this.callRemoteTool(this.name, call)
+    const moduleNameParameter = {
+      type: Type.OBJECT,
+      properties: {
+        module_name: {
+          type: Type.STRING,
+          description: "Name of the module as returned by list_modules, e.g. \"calendar\"",
+        },
+      },
+      required: ["module_name"],
+    }
+
+    for (const name of ["list_modules", "show_module", "hide_module", "send_notification"]) {
+      this.toolRegistry.unregister(name)
+    }
+
+    if (modules.length > 0) {
+      this.toolRegistry.register({
+        name: "list_modules",
+        description: "Lists the modules on the mirror that you are allowed to show or hide, with whether each one is currently hidden. Call this before show_module or hide_module if you are unsure of a module's name.",
+      }, runInFrontend, { owner: this.name })
+      this.toolRegistry.register({
+        name: "show_module",
+        description: "Shows a module on the mirror, for example when the user says \"show the news\".",
+        parameters: moduleNameParameter,
+      }, runInFrontend, { owner: this.name })
+      this.toolRegistry.register({
+        name: "hide_module",
+        description: "Hides a module on the mirror, for example when the user says \"hide the calendar\".",
+        parameters: moduleNameParameter,
+      }, runInFrontend, { owner: this.name })
+    }
+
+    if (notifications.length > 0) {
+      this.toolRegistry.register({
+        name: "send_notification",
+        description: `Broadcasts a MagicMirror notification to the other modules. Allowed notifications: ${notifications.join(", ")}. For SHOW_ALERT the payload has "title", "message" and optionally "timer" in milliseconds.`,
+        parameters: {
+          type: Type.OBJECT,
+          properties: {
+            notification: {
+              type: Type.STRING,
+              enum: notifications,
+              description: "The notification to send",
+            },
+            payload_json: {
+              type: Type.STRING,
+              description: "The notification payload as a JSON object string. Use \"{}\" when no payload is needed.",
+            },
+          },
+          required: ["notification"],
+        },
+      }, runInFrontend, { owner: this.name })
+    }
+  },
+
+  // Tools contributed by other modules run in the browser. The call is relayed
+  // through our frontend and resolved when the owning module answers
+  registerRemoteTool({ declaration, owner, timeout }) {
+    const toolTimeout = timeout || undefined
+    try {
+      this.toolRegistry.register(declaration, (args, call) => this.callRemoteTool(owner, call), { owner: owner, timeout: toolTimeout })
+    } catch (registerError) {
+      this.error(`Rejected tool registration from ${owner}:`, registerError.message)
+      return
+    }
+    this.log(`Registered tool '${declaration.name}' from ${owner}`)
+    if (this.connectionOpen) {
+      this.warn(`Tool '${declaration.name}' was registered after the session started, it will be offered to Gemini after the next reconnect`)
+    }
+  },
+
+  // The pending call is dropped when the registry gives up on the tool, so a
+  // result arriving after that is refused rather than resolving nothing
+  callRemoteTool(owner, call) {
+    return new Promise((resolve) => {
+      const id = call.id || `${call.name}-${Date.now()}`
+      const timer = setTimeout(() => this.pendingRemoteTools.delete(id), this.toolRegistry.timeoutOf(call.name))
+      this.pendingRemoteTools.set(id, (result) => {
+        clearTimeout(timer)
+        resolve(result)
+      })
+      this.sendToFrontend("TOOL_CALL", { id: id, name: call.name, args: call.args || {}, owner: owner })
+    })
+  },
+
+  applyDefaultState() {
+    this.genAI = null
+    this.liveSession = null
+    this.isRecording = false
+    this.audioQueue = []
+    this.captionQueue = []
+    this.audioQueuedBytes = 0
+    this.audioPlayedBytes = 0
+    this.persistentSpeaker = null
+    this.processingQueue = false
+    this.apiInitialized = false
+    this.connectionOpen = false
+    this.apiInitializing = false
+    this.closePersistentSpeaker()
+    this.teardownListenMode()
+    this.imaGenAI = null
+  },
+
+  async initialize(apiKey) {
+    this.log(">>> initialize called")
+
+    if (this.apiInitialized || this.apiInitializing) {
+      this.warn(`API initialization already complete or in progress. Initialized: ${this.apiInitialized}, Initializing: ${this.apiInitializing}`)
+      if (this.connectionOpen) {
+        this.log("Connection already open, sending HELPER_READY")
+        this.sendToFrontend("HELPER_READY")
+      }
+      return
+    }
+    if (!apiKey) {
+      this.error("API Key is missing! Cannot initialize")
+      this.sendToFrontend("HELPER_ERROR", { error: "API Key missing on server" })
+      return
+    }
+
+    this.apiKey = apiKey
+    this.apiInitializing = true
+    const connectionId = ++this.connectionId
+    const isCurrent = () => connectionId === this.connectionId
+    this.log("Initializing GoogleGenAI...")
+
+    try {
+      this.sendToFrontend("INITIALIZING")
+      this.log("Step 1: Creating GoogleGenAI instances...")
+
+      this.genAI = this.adapters.createClient({
+        apiKey: this.apiKey,
+        // httpOptions: { 'apiVersion': API_VERSION }
+      })
+
+      this.imaGenAI = this.adapters.createClient({
+        apiKey: this.apiKey,
+      })
+
+      const model = this.config.model || GEMINI_MODEL
+      const resumeHandle = this.config.resumeSession !== false ? this.sessionHandle : null
+      this.sessionEstablished = false
+      this.log(resumeHandle ? "Resuming previous session" : "Starting a new session")
+
+      this.log("Step 2: GoogleGenAI instance created.")
+      this.log(`Step 3: Attempting to establish Live Connection with ${model}...`)
+
+      const session = await this.genAI.live.connect({
+        model: model,
+        callbacks: {
+          onopen: () => {
+            if (!isCurrent()) { return }
+            this.log(">>> Live Connection Callback: onopen triggered!")
+            this.connectionOpen = true
+            this.apiInitializing = false
+            this.apiInitialized = true
+          },
+          onmessage: (message) => {
+            if (isCurrent()) { this.handleGeminiResponse(message) }
+          },
+          onerror: (e) => {
+            if (!isCurrent()) { return }
+            this.error(`Live Connection ERROR: ${e?.message || e}`)
+            this.resumeRecording = this.resumeRecording || this.isRecording
             this.connectionOpen = false
             this.apiInitializing = false
-            this.closePersistentSpeaker() // Ensure speaker is closed on init failure
+            this.apiInitialized = false
+            this.liveSession = null
+            this.stopRecording(true)
+            this.closePersistentSpeaker() // Close speaker on error
             this.processingQueue = false
             this.audioQueue = []
-            this.sendToFrontend("HELPER_ERROR", { error: `API Initialization failed: ${error.message || error}` })
-        }
-    },
-
-    // Handle messages from the module frontend
-    socketNotificationReceived: async function(notification, payload) {
-        switch (notification) {
-            case "START_CONNECTION":
-                this.log(`>>> socketNotificationReceived: Handling START_CONNECTION`)
-                if (!payload || !payload.apiKey) {
-                     this.error(`START_CONNECTION received without API key`)
-                     this.sendToFrontend("HELPER_ERROR", { error: "API key not provided by frontend" })
-                     return
-                 }
-
-                try { await this.initialize(payload.apiKey) } catch (error) {
-                     this.error(">>> socketNotificationReceived: Error occurred synchronously when CALLING initialize:", error)
-                     this.sendToFrontend("HELPER_ERROR", { error: `Error initiating connection: ${error.message}` })
-                 }
-                break
-            case "START_CONTINUOUS_RECORDING":
-                this.log(`>>> socketNotificationReceived: Handling START_CONTINUOUS_RECORDING`)
-                if (!this.connectionOpen || !this.liveSession) {
-                    this.warn(`Cannot start recording, API connection not ready/open. ConnOpen=${this.connectionOpen}, SessionExists=${!!this.liveSession}`)
-                    this.sendToFrontend("HELPER_ERROR", { error: "Cannot record: API connection not ready" })
-                    if (!this.apiInitialized && !this.apiInitializing && this.apiKey) {
-                         this.warn("Attempting to re-initialize API connection...")
-                         await this.initialize(this.apiKey) // Await re-initialization
-                    }
-                    return
-                }
-                if (this.isRecording) {
-                    this.warn(`Already recording. Ignoring START_CONTINUOUS_RECORDING request`)
-                    return
-                }
-                this.startRecording()
-                break
+            this.sendToFrontend("HELPER_ERROR", { error: `Live Connection Error: ${e?.message || e}` })
+          },
+          onclose: async (e) => {
+            if (!isCurrent()) { return }
+            this.warn("Live Connection CLOSED:")
+            this.warn(JSON.stringify(e, null, 2))
+
+            const wasOpen = this.connectionOpen
+
+            if (wasOpen) {
+              this.warn("Live Connection closed unexpectedly")
+            } else { this.log("Live Connection closed normally") }
+
+            // A handle the server will not accept would make every reconnect fail
+            if (!this.sessionEstablished && this.sessionHandle) {
+              this.warn("Session closed before setup completed, discarding the stored session handle")
+              this.clearSessionHandle()
+            }
+
+            this.resumeRecording = this.resumeRecording || this.isRecording
+            clearTimeout(this.goAwayTimer)
+            this.audioQueue = []
+            this.stopRecording(true)
+            this.closePersistentSpeaker() // Close speaker on close
+            this.applyDefaultState()
+
+            if (this.shuttingDown) {
+              return
+            }
+            if (this.intentionalClose) {
+              this.intentionalClose = false
+              await this.initialize(this.apiKey)
+            } else {
+              this.scheduleReconnect(e?.reason || "Connection closed")
+            }
+          },
+        },
+
+        config: {
+          // Text-only sessions answer in text parts, so there is no voice to configure or transcribe
+          responseModalities: [this.isTextOnly() ? Modality.TEXT : Modality.AUDIO],
+          inputAudioTranscription: {},
+          outputAudioTranscription: this.isTextOnly() ? undefined : {},
+          sessionResumption: resumeHandle ? { handle: resumeHandle } : {},
+          speechConfig: this.isTextOnly() ? undefined : this.buildSpeechConfig(),
+          systemInstruction: {
+            parts: [{ text: this.buildSystemInstruction() }],
+          },
+          safetySettings: this.buildSafetySettings(),
+          tools: [{
+            googleSearch: {},
+            googleSearchRetrieval: {
+              dynamicRetrievalConfig: {
+                mode: DynamicRetrievalConfigMode.MODE_DYNAMIC,
+              }
+            },
+            functionDeclarations: this.toolRegistry.getDeclarations(),
+          }]
+        },
+      })
+      if (!isCurrent()) {
+        // Put to sleep while connecting
+        session.close()
+        return
+      }
+      this.liveSession = session
+      this.log("Step 4: live.connect call initiated...")
+
+      // Only announce readiness once liveSession is assigned, so recording can start right away
+      if (this.connectionOpen) {
+        this.log("Connection OPENED. Sending HELPER_READY")
+        const restartRecording = this.resumeRecording
+        this.resumeRecording = false
+        this.sendToFrontend("HELPER_READY", { recording: restartRecording })
+        if (restartRecording) {
+          this.log("Restarting microphone after reconnect")
+          this.startRecording()
         }
-    },
+      }
+    } catch (error) {
+      this.error("API Initialization failed:", error)
+      this.liveSession = null
+      this.apiInitialized = false
+      this.connectionOpen = false
+      this.apiInitializing = false
+      this.closePersistentSpeaker() // Ensure speaker is closed on init failure
+      this.processingQueue = false
+      this.audioQueue = []
+      this.sendToFrontend("HELPER_ERROR", { error: `API Initialization failed: ${error.message || error}` })
+      this.scheduleReconnect(error.message || String(error))
+    }
+  },
+
+  // Retry the connection with backoff. After too many failures the helper goes
+  // offline for a cool-down period, a RETRY_NOW from the frontend skips the wait
+  scheduleReconnect(reason) {
+    if (!this.apiKey || this.shuttingDown || this.sleeping) { return }
+
+    const plan = this.reconnectManager.schedule(() => {
+      this.initialize(this.apiKey).catch(error => this.error("Reconnect attempt failed:", error))
+    })
+    // The reason is usually an API error message, shown on the mirror and over HTTP
+    const payload = { reason: redact(reason), attempt: plan.attempt, maxAttempts: plan.maxAttempts, retryAt: plan.retryAt }
+    this.reconnectStatus = { ...payload, offline: plan.offline, retryAt: new Date(plan.retryAt).toISOString() }
+
+    if (plan.offline) {
+      this.warn(`Giving up after ${plan.maxAttempts} attempts, offline until ${new Date(plan.retryAt).toISOString()}`)
+      this.sendToFrontend("CONNECTION_OFFLINE", payload)
+    } else {
+      this.log(`Reconnect attempt ${plan.attempt}/${plan.maxAttempts} in ${plan.delay}ms (${reason})`)
+      this.sendToFrontend("RECONNECTING", payload)
+    }
+  },
+
+  // --- Sleep: no session and no microphone while nobody is around or during quiet hours ---
+  configureSleep() {
+    try {
+      this.quietHours = parseQuietHours(this.config.quietHours)
+    } catch (parseError) {
+      this.warn(`Ignoring quietHours: ${parseError.message}`)
+      this.quietHours = []
+    }
+    this.scheduleQuietHoursCheck()
+  },
+
+  scheduleQuietHoursCheck() {
+    clearTimeout(this.quietTimer)
+    this.quietTimer = null
+    const next = nextQuietChange(this.quietHours)
+    if (!next) { return }
+    this.quietTimer = setTimeout(() => {
+      this.updateSleep()
+      this.scheduleQuietHoursCheck()
+    }, next.getTime() - Date.now() + QUIET_HOURS_MARGIN)
+  },
+
+  // Why the mirror should be asleep right now, or null. Quiet hours win over presence
+  sleepReason() {
+    if (isQuietTime(this.quietHours)) { return "quiet" }
+    if (this.config.sleepWhenAbsent && !this.present) { return "absent" }
+    return null
+  },
+
+  updateSleep() {
+    const reason = this.sleepReason()
+    if (reason) {
+      this.sleep(reason)
+    } else if (this.sleeping) {
+      this.wake()
+    }
+  },
+
+  // USER_PRESENCE from a PIR sensor or face recognition module. Leaving only
+  // counts once nobody has come back for absenceDelay
+  setPresence(present) {
+    clearTimeout(this.absenceTimer)
+    this.absenceTimer = null
+    if (!present) {
+      this.absenceTimer = setTimeout(() => {
+        this.absenceTimer = null
+        this.present = false
+        this.updateSleep()
+      }, this.config.absenceDelay ?? DEFAULT_ABSENCE_DELAY)
+      return
+    }
+    this.greetOnWake = this.sleeping === "absent" && Boolean(this.config.wakeGreeting)
+    this.present = true
+    this.updateSleep()
+  },
+
+  sleep(reason) {
+    if (this.sleeping === reason) { return }
+    if (!this.sleeping) {
+      this.log(`Going to sleep (${reason === "quiet" ? "quiet hours" : "nobody present"})`)
+      this.reconnectManager.cancel()
+      this.reconnectStatus = null
+      clearTimeout(this.goAwayTimer)
+      this.goAwayTimer = null
+      this.connectionId++ // The session is closed here, its callbacks are ignored from now on
+      const session = this.liveSession
+      this.stopRecording(true)
+      this.applyDefaultState()
+      this.resumeRecording = false
+      this.intentionalClose = false // A restart in flight is dropped with its session
+      session?.close()
+    }
+    this.sleeping = reason
+    this.greetOnWake = false
+    const until = reason === "quiet" ? nextQuietChange(this.quietHours) : null
+    this.sendToFrontend("SLEEPING", { reason: reason, until: until ? until.toISOString() : null })
+  },
+
+  wake() {
+    this.log("Waking up")
+    this.sleeping = null
+    if (this.apiKey) {
+      this.initialize(this.apiKey).catch(error => this.error("Waking up failed:", error))
+    }
+  },
+
+  // The greeting is an instruction to Gemini rather than something the user
+  // said, so unlike sendText there is no caption for it
+  sendGreeting() {
+    this.log("Sending the wake-up greeting")
+    try {
+      this.liveSession.sendClientContent({ turns: [{ role: "user", parts: [{ text: this.config.wakeGreeting }] }], turnComplete: true })
+    } catch (sendError) {
+      this.error("Failed to send the wake-up greeting:", sendError)
+    }
+  },
+
+  // Close the current session on purpose and connect again straight away. With
+  // a stored handle the conversation carries over to the new connection
+  restartSession(reason) {
+    clearTimeout(this.goAwayTimer)
+    this.goAwayTimer = null
+    if (!this.liveSession) {
+      if (!this.apiInitializing && this.apiKey && !this.sleeping) {
+        this.reconnectManager.cancel()
+        this.initialize(this.apiKey).catch(error => this.error("Session restart failed:", error))
+      }
+      return
+    }
+    this.log(`Restarting live session (${reason})`)
+    this.resumeRecording = this.resumeRecording || this.isRecording
+    this.intentionalClose = true
+    this.liveSession.close()
+  },
+
+  // Keep the newest resumable handle so a reconnect continues the conversation
+  handleSessionResumptionUpdate(update) {
+    if (!update.resumable || !update.newHandle || this.config.resumeSession === false) { return }
+    this.sessionHandle = update.newHandle
+    try {
+      saveJson(this.sessionStatePath, { handle: update.newHandle, updatedAt: new Date().toISOString() })
+    } catch (saveError) {
+      this.error("Could not save session handle:", saveError.message)
+    }
+  },
+
+  clearSessionHandle() {
+    this.sessionHandle = null
+    try {
+      removeFile(this.sessionStatePath)
+    } catch (removeError) {
+      this.error("Could not remove session state file:", removeError.message)
+    }
+  },
+
+  // The server is about to drop the connection. Reconnect once the mirror has
+  // finished speaking, or shortly before the deadline, whichever comes first
+  handleGoAway(goAway) {
+    const deadline = Date.now() + Math.max(0, durationToMs(goAway.timeLeft) - GO_AWAY_MARGIN)
+    this.warn(`Server sent goAway (time left: ${goAway.timeLeft || "unknown"}), reconnecting early`)
+    clearTimeout(this.goAwayTimer)
+    const check = () => {
+      if (!this.processingQueue || Date.now() >= deadline) {
+        this.restartSession("goAway")
+      } else {
+        this.goAwayTimer = setTimeout(check, 250)
+      }
+    }
+    check()
+  },
 
-    // // Start continuous audio recording and streaming
-    startRecording() {
-        this.log(">>> startRecording called")
+  configureTranscriptLog() {
+    if (!this.config.transcriptLogEnabled) {
+      this.transcriptLog = null
+      return
+    }
+    this.transcriptLog = new TranscriptLog({
+      directory: path.join(this.path || __dirname, TRANSCRIPT_DIR),
+      retentionDays: this.config.transcriptRetentionDays,
+      error: (...args) => this.error(...args),
+    })
+    this.log(`Transcript log enabled in ${this.transcriptLog.directory}`)
+  },
+
+  // The gallery is shared, the limits of the instance configured last apply
+  configureGallery() {
+    if (this.config.galleryMaxImages) {
+      this.gallery.maxImages = this.config.galleryMaxImages
+    }
+    if (this.config.galleryMaxMB) {
+      this.gallery.maxBytes = this.config.galleryMaxMB * 1024 * 1024
+    }
+    this.sendGalleryUpdate()
+  },
 
-        if (this.isRecording) {
-            this.warn("startRecording called but already recording")
-            return
+  describeImage(entry) {
+    return { id: entry.id, url: `/${this.name}/gallery/${entry.id}`, prompt: entry.prompt, createdAt: entry.createdAt }
+  },
+
+  // Recent images for the idle slideshow of every instance, as they share the gallery
+  sendGalleryUpdate() {
+    for (const instance of this.instances.values()) {
+      instance.sendToFrontend("GALLERY_UPDATED", { images: this.gallery.recent(instance.config.slideshowCount).map(entry => this.describeImage(entry)) })
+    }
+  },
+
+  // Built-in show_image tool
+  showGalleryImage(args) {
+    const entry = args.description ? this.gallery.find(args.description) : this.gallery.latest()
+    if (!entry) {
+      return { error: "No matching picture in the gallery" }
+    }
+    this.displayedImageId = entry.id
+    this.imageHistory = [entry.id]
+    this.sendToFrontend("GEMINI_SHOW_IMAGE", { images: [this.describeImage(entry)] })
+    return { status: "displayed", prompt: entry.prompt, createdAt: entry.createdAt }
+  },
+
+  // Built-in delete_image tool. Without a description it deletes the picture on screen
+  deleteGalleryImage(args) {
+    const entry = args.description
+      ? this.gallery.find(args.description)
+      : (this.gallery.get(this.displayedImageId) || this.gallery.latest())
+    if (!entry) {
+      return { error: "No matching picture in the gallery" }
+    }
+    this.gallery.remove(entry.id)
+    if (this.displayedImageId === entry.id) {
+      this.displayedImageId = null
+    }
+    this.imageHistory = this.imageHistory.filter(id => id !== entry.id)
+    this.log(`Deleted gallery image ${entry.id} ("${entry.prompt}")`)
+    this.sendToFrontend("GEMINI_IMAGE_DELETED", { id: entry.id })
+    this.sendGalleryUpdate()
+    return { status: "deleted", prompt: entry.prompt }
+  },
+
+  // Everything said and done in the current turn, created on first use
+  turnRecord() {
+    if (!this.currentTurn) {
+      this.currentTurn = { startedAt: new Date().toISOString(), user: "", model: "", toolCalls: [], images: [] }
+    }
+    return this.currentTurn
+  },
+
+  // Write the current turn to the transcript log and start a new one
+  finishTurn(extra = {}) {
+    const turn = this.currentTurn
+    this.currentTurn = null
+    if (!turn || !this.transcriptLog) { return }
+    if (!turn.user && !turn.model && turn.toolCalls.length === 0) { return }
+    this.transcriptLog.append({ timestamp: new Date().toISOString(), ...turn, ...extra })
+  },
+
+  // Apply the reconnect options, keeping the attempt count of a manager already in use
+  configureReconnect() {
+    const manager = this.reconnectManager
+    manager.baseDelay = this.config.reconnectBaseDelay || manager.baseDelay
+    manager.maxDelay = this.config.reconnectMaxDelay || manager.maxDelay
+    manager.maxAttempts = this.config.reconnectMaxAttempts || manager.maxAttempts
+    manager.cooldown = this.config.reconnectCooldown || manager.cooldown
+  },
+
+  // Silent installations get their answers as text only
+  isTextOnly() {
+    return this.config.responseModality === "text"
+  },
+
+  // Build the speech config from the voice and language options
+  buildSpeechConfig() {
+    const speechConfig = {
+      voiceConfig: {
+        prebuiltVoiceConfig: {
+          voiceName: this.config.voiceName || GEMINI_VOICE_NAME,
+        },
+      },
+    }
+    if (this.config.languageCode) {
+      speechConfig.languageCode = this.config.languageCode // e.g. "fr-FR"
+    }
+    return speechConfig
+  },
+
+  // Resolve the persona text. A file (relative to the module directory or absolute)
+  // takes precedence over the inline option, which takes precedence over the default
+  resolveSystemInstruction() {
+    if (this.config.systemInstructionFile) {
+      const filePath = path.resolve(this.path || __dirname, this.config.systemInstructionFile)
+      try {
+        const text = fs.readFileSync(filePath, "utf8").trim()
+        if (text) {
+          this.log(`Loaded system instruction from ${filePath}`)
+          return text
+        }
+        this.warn(`System instruction file ${filePath} is empty, falling back`)
+      } catch (fileError) {
+        this.error(`Could not read system instruction file ${filePath}:`, fileError.message)
+      }
+    }
+    return this.config.systemInstruction || DEFAULT_SYSTEM_INSTRUCTION
+  },
+
+  // Persona plus the child-appropriate rules when safeMode is on
+  buildSystemInstruction() {
+    const instruction = this.resolveSystemInstruction()
+    return this.config.safeMode ? `${instruction}\n\n${SAFE_MODE_INSTRUCTION}` : instruction
+  },
+
+  // Strictest thresholds for every category in safeMode, the API defaults otherwise
+  buildSafetySettings() {
+    if (!this.config.safeMode) { return undefined }
+    return SAFE_MODE_HARM_CATEGORIES.map(category => ({ category: category, threshold: HarmBlockThreshold.BLOCK_LOW_AND_ABOVE }))
+  },
+
+  // Returns the first deny-listed word found in the given texts, checked before any
+  // image request leaves the mirror in safeMode
+  findDeniedWord(...texts) {
+    if (!this.config.safeMode) { return null }
+    const denyList = [...SAFE_MODE_DENY_LIST, ...(this.config.safeModeDenyList || [])]
+    // Compare whole words (and phrases) so "skill" does not trip over "kill"
+    const normalize = text => ` ${(text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).join(" ")} `
+    const text = normalize(texts.join(" "))
+    return denyList.find(denied => normalize(denied).trim() && text.includes(normalize(denied))) || null
+  },
+
+  // Tell the user and Gemini that a picture was refused
+  blockImage(reason) {
+    this.sendToFrontend("GEMINI_IMAGE_BLOCKED", { reason: reason })
+    return { status: "blocked", reason: reason }
+  },
+
+  // Messages from the module frontends, each names the instance it comes from
+  socketNotificationReceived: async function (notification, payload) {
+    const identifier = payload?.identifier
+    if (!identifier) {
+      this.warn(`Ignoring ${notification} without a module identifier`)
+      return
+    }
+    let instance = this.instances.get(identifier)
+    if (!instance) {
+      // Only a starting frontend gets an instance, anyone else on the socket could
+      // otherwise make the helper hold on to one per made-up identifier
+      if (!INSTANCE_NOTIFICATIONS.includes(notification)) {
+        this.warn(`Ignoring ${notification} from ${identifier}, which has not connected`)
+        return
+      }
+      if (this.instances.size >= MAX_INSTANCES) {
+        this.warn(`Ignoring ${notification} from ${identifier}, already serving ${MAX_INSTANCES} module instances`)
+        return
+      }
+      instance = this.createInstance(identifier)
+    }
+    await instance.handleNotification(notification, payload)
+  },
+
+  // Handle messages from this instance's frontend
+  async handleNotification(notification, payload) {
+    switch (notification) {
+      case "START_CONNECTION":
+        this.log(">>> socketNotificationReceived: Handling START_CONNECTION")
+        this.config = payload
+        this.apiKey = this.loadKey()
+        if (!this.apiKey) {
+          return
+        }
+        this.registerBuiltinTools()
+        this.configureReconnect()
+        this.configureTranscriptLog()
+        this.configureGallery()
+        this.configureSleep()
+        if (this.sleepReason()) {
+          this.sleep(this.sleepReason())
+          return
+        }
+        try { await this.initialize(this.apiKey) } catch (error) {
+          this.error(">>> socketNotificationReceived: Error occurred synchronously when CALLING initialize:", error)
+          this.sendToFrontend("HELPER_ERROR", { error: `Error initiating connection: ${error.message}` })
+        }
+        break
+      case "START_CONTINUOUS_RECORDING":
+        this.log(">>> socketNotificationReceived: Handling START_CONTINUOUS_RECORDING")
+        if (this.sleeping) {
+          this.log("Not recording while asleep")
+          return
         }
         if (!this.connectionOpen || !this.liveSession) {
-             this.error("Cannot start recording: Live session not open")
-             this.sendToFrontend("HELPER_ERROR", { error: "Cannot start recording: API connection not open" })
-             return
+          this.warn(`Cannot start recording, API connection not ready/open. ConnOpen=${this.connectionOpen}, SessionExists=${!!this.liveSession}`)
+          this.sendToFrontend("HELPER_ERROR", { error: "Cannot record: API connection not ready" })
+          if (!this.apiInitialized && !this.apiInitializing && this.apiKey && !this.reconnectManager.pending) {
+            this.warn("Attempting to re-initialize API connection...")
+            await this.initialize(this.apiKey) // Await re-initialization
+          }
+          return
         }
-
-        this.isRecording = true
-        this.log(">>> startRecording: Sending RECORDING_STARTED to frontend")
-        this.sendToFrontend("RECORDING_STARTED")
-
-        const recorderOptions = {
-            sampleRate: INPUT_SAMPLE_RATE,
-            channels: CHANNELS,
-            audioType: AUDIO_TYPE,
-            encoding: ENCODING,
-            bits: BITS,
-            threshold: 0,
+        if (this.isRecording) {
+          this.warn("Already recording. Ignoring START_CONTINUOUS_RECORDING request")
+          return
+        }
+        this.startRecording()
+        break
+      case "PUSH_TO_TALK":
+        if (this.getListenMode() !== "pushToTalk") {
+          this.warn(`Ignoring PUSH_TO_TALK, listenMode is '${this.getListenMode()}'`)
+          return
+        }
+        if (!this.isRecording) {
+          this.warn("Ignoring PUSH_TO_TALK, microphone is not running")
+          return
+        }
+        if (payload?.pressed) {
+          this.armListening("push to talk pressed")
+        } else {
+          this.disarmListening("push to talk released")
+        }
+        break
+      case "RETRY_NOW":
+        this.log(">>> socketNotificationReceived: Handling RETRY_NOW")
+        if (this.sleeping) {
+          this.log("RETRY_NOW ignored while asleep")
+          return
+        }
+        if (this.reconnectManager.retryNow()) {
+          return
         }
+        if (!this.apiInitialized && !this.apiInitializing && this.apiKey) {
+          await this.initialize(this.apiKey)
+        } else {
+          this.log("RETRY_NOW ignored, connection is open or being established")
+        }
+        break
+      case "NEW_SESSION":
+        this.log(">>> socketNotificationReceived: Handling NEW_SESSION")
+        this.clearSessionHandle()
+        this.restartSession("new session requested")
+        break
+      case "CLEAR_HISTORY":
+        this.log(">>> socketNotificationReceived: Handling CLEAR_HISTORY")
+        this.currentTurn = null
+        this.transcriptLog?.clear()
+        break
+      case "USER_PRESENCE":
+        this.setPresence(Boolean(payload?.present))
+        break
+      case "SEND_TEXT":
+        this.sendText(payload?.text)
+        break
+      case "REGISTER_TOOL":
+        this.registerRemoteTool(payload)
+        break
+      case "TOOL_RESULT": {
+        const resolve = this.pendingRemoteTools.get(payload?.id)
+        if (!resolve) {
+          this.warn(`Received TOOL_RESULT for unknown or expired call ${payload?.id}`)
+          return
+        }
+        this.pendingRemoteTools.delete(payload.id)
+        resolve(payload.result)
+        break
+      }
+    }
+  },
+
+  // A typed prompt from another module or the HTTP API, answered like a spoken
+  // one. Returns whether it was sent
+  sendText(text) {
+    if (typeof text !== "string" || !text.trim()) {
+      this.warn("Ignoring SEND_TEXT without text")
+      return false
+    }
+    if (!this.liveSession || !this.connectionOpen) {
+      this.warn("Cannot send text, API connection not open")
+      this.sendToFrontend("HELPER_ERROR", { error: "Cannot send text: API connection not open", fatal: false })
+      return false
+    }
+    this.log(`Sending typed prompt: "${text}"`)
+    const turn = this.turnRecord()
+    turn.user += text
+    turn.typed = true
+    this.sendToFrontend("GEMINI_CAPTION", { role: "user", text: text, final: true })
+    try {
+      this.liveSession.sendClientContent({ turns: [{ role: "user", parts: [{ text: text }] }], turnComplete: true })
+      return true
+    } catch (sendError) {
+      this.error("Failed to send typed prompt:", sendError)
+      this.sendToFrontend("HELPER_ERROR", { error: `API send error: ${sendError.message}`, fatal: false })
+      return false
+    }
+  },
 
-        this.log(">>> startRecording: Recorder options:", recorderOptions)
-        this.log(`>>> startRecording: Using input MIME Type: ${GEMINI_INPUT_MIME_TYPE}`)
+  getListenMode() {
+    const mode = this.config.listenMode || "always"
+    if (!LISTEN_MODES.includes(mode)) {
+      this.warn(`Unknown listenMode '${mode}', falling back to 'always'`)
+      return "always"
+    }
+    return mode
+  },
+
+  // Decide whether mic audio is forwarded to Gemini right away or only once armed.
+  // Returns false if the mode could not be set up
+  setupListenMode() {
+    const mode = this.getListenMode()
+    this.log(`Listen mode: ${mode}`)
+
+    if (mode === "always") {
+      this.listenArmed = true
+      return true
+    }
 
-        try {
-            this.log(">>> startRecording: Attempting recorder.record()...")
-            this.recordingProcess = recorder.record(recorderOptions)
-             this.log(">>> startRecording: recorder.record() call successful. Setting up streams...")
-
-            const audioStream = this.recordingProcess.stream()
-            let chunkCounter = 0 // Reset counter for new recording session
-
-            audioStream.on('data', async (chunk) => {
-                if (!this.isRecording || !this.connectionOpen || !this.liveSession) {
-                    if (this.isRecording) {
-                        this.warn(`Recording stopping mid-stream: Session/Connection invalid...`)
-                        this.stopRecording(true) // Force stop if state is inconsistent
-                    }
-                    return
-                }
-
-                if (chunk.length === 0) {
-                    return // Skip empty chunks
-                }
-
-                const base64Chunk = chunk.toString('base64')
-                chunkCounter++ // Increment counter for valid chunks
-
-                try {
-                    const payloadToSend = {
-                        media: {
-                            mimeType: GEMINI_INPUT_MIME_TYPE,
-                            data: base64Chunk
-                        }
-                    }
-
-                    // Check liveSession again just before sending
-                    if (this.liveSession && this.connectionOpen) {
-                        await this.liveSession.sendRealtimeInput(payloadToSend)
-                    } else {
-                        this.warn(`Cannot send chunk #${chunkCounter}, connection/session lost just before send`)
-                        this.stopRecording(true) // Stop recording if connection lost
-                    }
-                } catch (apiError) {
-                    const errorTime = new Date().toISOString()
-                    this.error(`[${errorTime}] Error sending audio chunk #${chunkCounter}:`, apiError)
-
-                    if (apiError.stack) {
-                        this.error(`Gemini send error stack:`, apiError.stack)
-                    }
-
-                     // Check specific error types if possible, otherwise assume connection issue
-                    if (apiError.message?.includes('closed') || apiError.message?.includes('CLOSING') || apiError.code === 1000 || apiError.message?.includes('INVALID_STATE')) {
-                         this.warn("API error suggests connection closed/closing or invalid state")
-                         this.connectionOpen = false // Update state
-                    }
-
-                    this.sendToFrontend("HELPER_ERROR", { error: `API send error: ${apiError.message}` })
-                    this.stopRecording(true) // Force stop on API error
-                }
-            })
-
-            audioStream.on('error', (err) => {
-                this.error(`Recording stream error:`, err)
-
-                if (err.stack) {
-                    this.error(`Recording stream error stack:`, err.stack)
-                }
-
-                this.sendToFrontend("HELPER_ERROR", { error: `Audio recording stream error: ${err.message}` })
-                this.stopRecording(true) // Force stop on stream error
-            })
-
-             audioStream.on('end', () => {
-                 this.warn(`Recording stream ended`) // Normal if stopRecording was called, unexpected otherwise
-                 if (this.isRecording) {
-                      // This might happen if the underlying recording process exits for some reason
-                      this.error("Recording stream ended while isRecording was still true (unexpected)")
-                      this.sendToFrontend("HELPER_ERROR", { error: "Recording stream ended unexpectedly" })
-                      this.stopRecording(true) // Ensure state is consistent
-                 }
-             })
-
-            this.recordingProcess.process.on('exit', (code, signal) => {
-                const wasRecording = this.isRecording // Capture state before potential modification
-                this.log(`Recording process exited with code ${code}, signal ${signal}`) // Changed from warn to log
-
-                const currentProcessRef = this.recordingProcess // Store ref before nullifying
-
-                this.recordingProcess = null // Clear the reference immediately
-
-                if (wasRecording) {
-                    // If we *thought* we were recording when the process exited, it's an error/unexpected stop
-                    this.error(`Recording process exited unexpectedly while isRecording was true`)
-                    this.sendToFrontend("HELPER_ERROR", { error: `Recording process stopped unexpectedly (code: ${code}, signal: ${signal})` })
-                    this.isRecording = false // Update state
-                    this.sendToFrontend("RECORDING_STOPPED") // Notify frontend it stopped
-                }
-                else {
-                    // If isRecording was already false, this exit is expected (due to stopRecording being called)
-                    this.log(`Recording process exited normally after stop request`)
-                }
-            })
-
-        } catch (recordError) {
-            this.error(">>> startRecording: Failed to start recording process:", recordError)
-
-            if (recordError.stack) {
-                this.error(">>> startRecording: Recording start error stack:", recordError.stack)
-            }
+    this.listenArmed = false
+    if (mode === "wakeWord") {
+      const phrases = [].concat(this.config.wakeWord || [])
+      try {
+        this.wakeWordDetector = new WakeWordDetector({
+          phrases: phrases,
+          modelPath: this.config.wakeWordModelPath,
+          sampleRate: GEMINI_INPUT_SAMPLE_RATE,
+        })
+        this.wakeWordDetector.load()
+      } catch (detectorError) {
+        this.error("Failed to set up wake word detector:", detectorError.message)
+        this.sendToFrontend("HELPER_ERROR", { error: `Wake word setup failed: ${detectorError.message}` })
+        this.wakeWordDetector = null
+        return false
+      }
+    }
+    this.sendToFrontend("LISTENING_IDLE", { mode: mode })
+    return true
+  },
+
+  teardownListenMode() {
+    clearTimeout(this.listenTimer)
+    this.listenTimer = null
+    this.listenArmed = false
+    if (this.wakeWordDetector) {
+      this.wakeWordDetector.free()
+      this.wakeWordDetector = null
+    }
+  },
+
+  // Start forwarding mic audio to Gemini
+  armListening(reason) {
+    if (this.listenArmed) { return }
+    this.log(`Listening armed (${reason})`)
+    this.listenArmed = true
+    this.sendToFrontend("LISTENING_ARMED", { mode: this.getListenMode() })
+    if (this.getListenMode() === "wakeWord") {
+      this.refreshListenTimeout()
+    }
+  },
+
+  // Stop forwarding mic audio to Gemini. The recorder keeps running locally
+  disarmListening(reason) {
+    if (!this.listenArmed || this.getListenMode() === "always") { return }
+    this.log(`Listening disarmed (${reason})`)
+    clearTimeout(this.listenTimer)
+    this.listenTimer = null
+    this.listenArmed = false
+    this.vad?.reset()
+    this.endAudioStream()
+    this.sendToFrontend("LISTENING_IDLE", { mode: this.getListenMode() })
+  },
+
+  // The uplink stops mid-stream, so Gemini's end-of-speech detection would wait
+  // for trailing silence that never comes. audioStreamEnd tells it to answer now
+  endAudioStream() {
+    if (!this.liveSession || !this.connectionOpen) { return }
+    try {
+      this.liveSession.sendRealtimeInput({ audioStreamEnd: true })
+    } catch (sendError) {
+      this.warn("Could not end the audio stream:", sendError.message)
+    }
+  },
+
+  // Wake word sessions end after a period without speech from either side
+  refreshListenTimeout() {
+    clearTimeout(this.listenTimer)
+    const timeout = this.config.wakeWordTimeout || DEFAULT_WAKE_WORD_TIMEOUT
+    this.listenTimer = setTimeout(() => {
+      if (this.processingQueue) {
+        this.refreshListenTimeout() // Mirror is still talking, wait for it to finish
+        return
+      }
+      this.disarmListening(`no speech for ${timeout}ms`)
+    }, timeout)
+  },
+
+  // // Start continuous audio recording and streaming
+  startRecording() {
+    this.log(">>> startRecording called")
+
+    if (this.isRecording) {
+      this.warn("startRecording called but already recording")
+      return
+    }
+    if (!this.connectionOpen || !this.liveSession) {
+      this.error("Cannot start recording: Live session not open")
+      this.sendToFrontend("HELPER_ERROR", { error: "Cannot start recording: API connection not open" })
+      return
+    }
+
+    this.isRecording = true
+    this.log(">>> startRecording: Sending RECORDING_STARTED to frontend")
+    this.sendToFrontend("RECORDING_STARTED")
+
+    if (!this.setupListenMode()) {
+      this.isRecording = false
+      this.sendToFrontend("RECORDING_STOPPED")
+      return
+    }
+
+    if (this.config.vadEnabled) {
+      this.vad = new VoiceActivityDetector({
+        sensitivity: this.config.vadSensitivity,
+        preRollMs: this.config.vadPreRollMs,
+        hangoverMs: this.config.vadHangoverMs,
+        sampleRate: GEMINI_INPUT_SAMPLE_RATE,
+        channels: 1,
+      })
+      this.log(`VAD enabled, RMS threshold ${Math.round(this.vad.threshold)}`)
+    }
+
+    const echoMode = this.getEchoMode()
+    if (echoMode !== "off") {
+      this.echoGate = new EchoGate({
+        mode: echoMode,
+        tailMs: this.config.echoTailMs,
+        attenuation: this.config.echoAttenuation,
+        bargeInThreshold: this.config.bargeInThreshold,
+        bargeInMs: this.config.bargeInMs,
+        sampleRate: GEMINI_INPUT_SAMPLE_RATE,
+      })
+      this.log(`Echo suppression: ${echoMode} during playback, barge-in above RMS ${this.echoGate.bargeInThreshold}`)
+    }
+
+    const recorderOptions = {
+      sampleRate: this.config.inputSampleRate || DEFAULT_INPUT_SAMPLE_RATE,
+      channels: this.config.inputChannels || DEFAULT_INPUT_CHANNELS,
+      audioType: AUDIO_TYPE,
+      encoding: ENCODING,
+      bits: BITS,
+      threshold: 0,
+      recorder: this.getRecordingProgram(),
+    }
+    // arecord takes the device with -D, sox through AUDIODEV. rec has no way to
+    // pass one and records from its driver's default
+    if (this.config.recordingDevice) {
+      if (recorderOptions.recorder === "rec") {
+        this.warn("recordingDevice is ignored by 'rec', use 'sox' or 'arecord' to pick a device")
+      }
+      recorderOptions.device = this.config.recordingDevice
+    }
 
-            this.sendToFrontend("HELPER_ERROR", { error: `Failed to start recording: ${recordError.message}` })
+    let chunkCounter = 0 // Reset counter for new recording session
+    let converter = null
+    const handlers = {
+      data: async (rawChunk) => {
+        if (!this.isRecording || !this.connectionOpen || !this.liveSession) {
+          if (this.isRecording) {
+            this.warn("Recording stopping mid-stream: Session/Connection invalid...")
+            this.stopRecording(true) // Force stop if state is inconsistent
+          }
+          return
+        }
 
-            this.isRecording = false // Ensure state is correct
-            this.recordingProcess = null // Ensure reference is cleared
+        const chunk = converter.process(rawChunk)
+        if (chunk.length === 0 || this.micMuted) {
+          return // Skip empty chunks, and everything while muted
         }
-    },
-
-    // Stop audio recording
-    stopRecording(force = false) {
-        if (this.isRecording || force) {
-            if (!this.recordingProcess) {
-                this.log(`stopRecording called (Forced: ${force}) but no recording process instance exists`)
-                 if (this.isRecording) {
-                      this.warn("State discrepancy: isRecording was true but no process found. Resetting state")
-                      this.isRecording = false
-                      this.sendToFrontend("RECORDING_STOPPED") // Notify frontend about the state correction
-                 }
-                 return
-            }
 
-            this.log(`Stopping recording process (Forced: ${force})...`)
-            const wasRecording = this.isRecording // Capture state before changing
-            this.isRecording = false // Set flag immediately
-
-            // Store process reference before potentially nullifying it in callbacks
-            const processToStop = this.recordingProcess
-
-            try {
-                const stream = processToStop.stream()
-                if (stream) {
-                    this.log("Removing stream listeners")
-                    stream.removeAllListeners('data')
-                    stream.removeAllListeners('error')
-                    stream.removeAllListeners('end')
-                }
-
-                 if (processToStop.process) {
-                    this.log("Removing process 'exit' listener")
-                    processToStop.process.removeAllListeners('exit')
-
-                    this.log("Sending SIGTERM to recording process")
-                    processToStop.process.kill('SIGTERM')
-
-
-                 } else {
-                    this.warn("No underlying process found in recordingProcess object to kill")
-                 }
-
-                 // Call the library's stop method, which might also attempt cleanup
-                 this.log(`Calling recorder.stop()...`)
-                 processToStop.stop()
-
-            } catch (stopError) {
-                this.error(`Error during recorder cleanup/stop():`, stopError)
-                if (stopError.stack) {
-                    this.error(`Recorder stop() error stack:`, stopError.stack)
-                }
-            } finally {
-                // Don't nullify this.recordingProcess here; let the 'exit' handler do it.
-                if (wasRecording) {
-                    this.log("Recording stop initiated. Sending RECORDING_STOPPED if process exits")
-                    // Actual RECORDING_STOPPED is sent by the 'exit' handler or state correction logic
-                } else {
-                     this.log("Recording was already stopped or stopping, no state change needed")
-                }
+        // While the mirror talks its own voice is kept out of the uplink,
+        // unless the user talks over it loudly enough to barge in
+        let micChunks = [chunk]
+        if (this.echoGate) {
+          const bargeInsBefore = this.echoGate.stats.bargeIns
+          micChunks = this.echoGate.process(chunk)
+          if (this.echoGate.stats.bargeIns > bargeInsBefore) {
+            this.log("Echo suppression: barge-in detected, passing the mic through until playback ends")
+          }
+        }
+
+        for (const micChunk of micChunks) {
+          // Not armed: audio stays local, only the wake word detector sees it
+          if (!this.listenArmed) {
+            this.levelMeter.noteMic(micChunk)
+            if (this.wakeWordDetector?.feed(micChunk)) {
+              this.armListening("wake word detected")
             }
-        } else {
-            this.log(`stopRecording called, but isRecording flag was already false`)
-            // Defensive cleanup if process still exists somehow
-            if (this.recordingProcess) {
-                 this.warn("stopRecording called while isRecording=false, but process existed. Forcing cleanup")
-                 this.stopRecording(true) // Force stop to clean up the zombie process
+            continue
+          }
+
+          const speaking = this.vad ? this.vad.isVoiced(micChunk) : computeRms(micChunk) > SPEECH_RMS_THRESHOLD
+          this.levelMeter.noteMic(micChunk, speaking)
+          if (speaking) {
+            this.duckPlayback()
+          }
+          if (this.listenTimer && speaking) {
+            this.refreshListenTimeout()
+          }
+
+          let chunksToSend = [micChunk]
+          let speechEnded = false
+          if (this.vad) {
+            const { onsets: onsetsBefore, offsets: offsetsBefore } = this.vad.stats
+            chunksToSend = this.vad.process(micChunk)
+            speechEnded = this.vad.stats.offsets > offsetsBefore
+            if (this.vad.stats.onsets > onsetsBefore) {
+              const { suppressed, total } = this.vad.stats
+              this.log(`VAD: speech onset, sending ${chunksToSend.length - 1} pre-roll chunk(s). Suppressed ${suppressed}/${total} chunks so far`)
             }
+          }
+
+          for (const chunkToSend of chunksToSend) {
+            chunkCounter++ // Increment counter for valid chunks
+            const sent = await this.sendAudioChunk(chunkToSend, chunkCounter)
+            if (!sent) { return }
+          }
+          if (speechEnded) {
+            this.log("VAD: speech ended, closing the audio stream until the next onset")
+            this.endAudioStream()
+          }
         }
-    },
-
-    // Handle function calls requested by Gemini
-    async handleFunctionCall(functioncall) {
-        let functionName = functioncall.name
-        let args = functioncall.args
-
-        if(!functionName || !args) {
-            this.warn("Received function call without name or arguments:", functioncall)
-            return
+      },
+      error: (err) => {
+        this.sendToFrontend("HELPER_ERROR", { error: `Audio recording stream error: ${err.message}` })
+        this.stopRecording(true) // Force stop on stream error
+      },
+      end: () => {
+        // Normal if stopRecording was called, unexpected otherwise
+        if (this.isRecording) {
+          this.error("Recording stream ended while isRecording was still true (unexpected)")
+          this.sendToFrontend("HELPER_ERROR", { error: "Recording stream ended unexpectedly" })
+          this.stopRecording(true) // Ensure state is consistent
         }
+      },
+      exit: (code, signal) => {
+        // The microphone only reports exits it did not ask for
+        this.error("Recording process exited unexpectedly")
+        this.sendToFrontend("HELPER_ERROR", { error: `Recording process stopped unexpectedly (code: ${code}, signal: ${signal})` })
+        this.isRecording = false
+        this.sendToFrontend("RECORDING_STOPPED")
+      },
+    }
 
-        this.log(`Handling function call: ${functionName}`)
-
-        switch(functionName) {
-            case "generate_image":
-                let generateImagePrompt = args.image_prompt
-                if (generateImagePrompt) {
-                    this.log(`Generating image with prompt: "${generateImagePrompt}"`)
-                    this.sendToFrontend("GEMINI_IMAGE_GENERATING")
-                    try {
-                        const response = await this.imaGenAI.models.generateImages({
-                            model: 'imagen-3.0-generate-002', // Consider making model configurable
-                            prompt: generateImagePrompt,
-                            config: {
-                                numberOfImages: 1,
-                                includeRaiReason: true,
-                                personGeneration: PersonGeneration.ALLOW_ADULT,
-                            },
-                        })
-
-                        // Handle potential safety flags/RAI reasons
-                        if (response?.generatedImages?.[0]?.raiReason) {
-                             this.warn(`Image generation flagged for RAI reason: ${response.generatedImages[0].raiReason}`)
-                             this.sendToFrontend("GEMINI_IMAGE_BLOCKED", { reason: response.generatedImages[0].raiReason })
-                        } else {
-                            let imageBytes = response?.generatedImages?.[0]?.image?.imageBytes
-                            if (imageBytes) {
-                                this.log("Image generated successfully")
-                                this.sendToFrontend("GEMINI_IMAGE_GENERATED", { image: imageBytes })
-                            } else {
-                                this.error("Image generation response received, but no image bytes found")
-                                this.sendToFrontend("HELPER_ERROR", { error: "Image generation failed: No image data" })
-                            }
-                        }
-                    } catch (imageError) {
-                         this.error("Error during image generation API call:", imageError)
-                         this.sendToFrontend("HELPER_ERROR", { error: `Image generation failed: ${imageError.message}` })
-                    }
-
-                } else {
-                     this.warn("generate_image call missing 'image_prompt' argument")
-                }
-                break
-            // Add other function cases here if needed
-            default:
-                this.warn(`Received unhandled function call: ${functionName}`)
+    try {
+      // The recorder is shared with the other instances, whatever it runs
+      // with is converted so Gemini gets 16kHz mono
+      const options = this.microphone.subscribe(this.identifier, recorderOptions, handlers)
+      converter = new PcmConverter({
+        inputRate: options.sampleRate,
+        inputChannels: options.channels,
+        outputRate: GEMINI_INPUT_SAMPLE_RATE,
+      })
+      this.log(`>>> startRecording: Using input MIME Type: ${GEMINI_INPUT_MIME_TYPE}${converter.isPassthrough ? "" : ` (converted from ${options.sampleRate}Hz, ${options.channels} channel(s))`}`)
+      this.startLevelReports()
+    } catch (recordError) {
+      this.error(">>> startRecording: Failed to start recording process:", recordError)
+
+      if (recordError.stack) {
+        this.error(">>> startRecording: Recording start error stack:", recordError.stack)
+      }
+
+      this.sendToFrontend("HELPER_ERROR", { error: `Failed to start recording: ${recordError.message}` })
+
+      this.isRecording = false // Ensure state is correct
+    }
+  },
+
+  // Send one PCM chunk to the live session. Returns false if recording had to stop
+  async sendAudioChunk(chunk, chunkNumber) {
+    try {
+      const payloadToSend = {
+        media: {
+          mimeType: GEMINI_INPUT_MIME_TYPE,
+          data: chunk.toString("base64")
         }
-    },
+      }
+
+      // Check liveSession again just before sending
+      if (this.liveSession && this.connectionOpen) {
+        await this.liveSession.sendRealtimeInput(payloadToSend)
+        return true
+      }
+      this.warn(`Cannot send chunk #${chunkNumber}, connection/session lost just before send`)
+      this.stopRecording(true) // Stop recording if connection lost
+      return false
+    } catch (apiError) {
+      const errorTime = new Date().toISOString()
+      this.error(`[${errorTime}] Error sending audio chunk #${chunkNumber}:`, apiError)
+
+      if (apiError.stack) {
+        this.error("Gemini send error stack:", apiError.stack)
+      }
+
+      // Check specific error types if possible, otherwise assume connection issue
+      if (apiError.message?.includes("closed") || apiError.message?.includes("CLOSING") || apiError.code === 1000 || apiError.message?.includes("INVALID_STATE")) {
+        this.warn("API error suggests connection closed/closing or invalid state")
+        this.connectionOpen = false // Update state
+        this.resumeRecording = true // The mic stops because the connection went away, bring it back on reconnect
+      }
+
+      this.sendToFrontend("HELPER_ERROR", { error: `API send error: ${apiError.message}` })
+      this.stopRecording(true) // Force stop on API error
+      return false
+    }
+  },
+
+  // Stop audio recording
+  stopRecording(force = false) {
+    this.teardownListenMode()
+    if (this.vad) {
+      const { suppressed, total, onsets } = this.vad.stats
+      this.log(`VAD: suppressed ${suppressed}/${total} chunks over ${onsets} speech segment(s)`)
+      this.vad = null
+    }
+    if (this.echoGate) {
+      const { suppressed, total, bargeIns, peakEchoRms } = this.echoGate.stats
+      this.log(`Echo suppression: suppressed ${suppressed}/${total} chunks, ${bargeIns} barge-in(s), loudest echo RMS ${Math.round(peakEchoRms)}`)
+      this.echoGate = null
+    }
+    const wasRecording = this.isRecording
+    this.isRecording = false
+    if (this.microphone.isSubscribed(this.identifier)) {
+      this.log(`Leaving the microphone (Forced: ${force})`)
+      this.microphone.unsubscribe(this.identifier)
+    } else if (wasRecording) {
+      this.warn("State discrepancy: isRecording was true but the microphone was not in use. Resetting state")
+      this.sendToFrontend("RECORDING_STOPPED") // Notify frontend about the state correction
+    } else {
+      this.log("stopRecording called, but isRecording flag was already false")
+    }
+  },
+
+  // Run every function call in a toolCall message and return the results to Gemini
+  async handleToolCall(toolCall) {
+    const calls = (toolCall.functionCalls || []).filter((call) => {
+      if (!call?.name) {
+        this.warn("Received function call without name:", call)
+        return false
+      }
+      return true
+    })
+    if (calls.length === 0) { return }
+
+    this.log(`Handling function call(s): ${calls.map(call => call.name).join(", ")}`)
+    const functionResponses = await Promise.all(calls.map(call => this.toolRegistry.execute(call)))
+    calls.forEach((call, i) => {
+      this.turnRecord().toolCalls.push({ name: call.name, args: call.args || {}, response: functionResponses[i].response })
+    })
+
+    if (!this.liveSession || !this.connectionOpen) {
+      this.warn("Session closed before tool responses could be sent")
+      return
+    }
+    try {
+      this.liveSession.sendToolResponse({ functionResponses: functionResponses })
+    } catch (sendError) {
+      this.error("Failed to send tool response:", sendError)
+    }
+  },
+
+  getImageStyles() {
+    return this.config.imageStyles || DEFAULT_IMAGE_STYLES
+  },
+
+  // Image generation settings from the config, with Gemini's per-call choices on top
+  buildImageRequest(args) {
+    const styles = this.getImageStyles()
+    const styleName = styles[args.style] ? args.style : (this.config.imageStyle || DEFAULT_IMAGE_STYLE)
+    const styleText = styles[styleName]
+    const aspectRatio = IMAGE_ASPECT_RATIOS.includes(args.aspect_ratio) ? args.aspect_ratio : (this.config.imageAspectRatio || "1:1")
+    const personGeneration = this.config.safeMode
+      ? PersonGeneration.DONT_ALLOW
+      : (PersonGeneration[this.config.imagePersonGeneration] || PersonGeneration.ALLOW_ADULT)
+
+    const config = {
+      numberOfImages: Math.min(Math.max(this.config.imageCount || 1, 1), 4),
+      aspectRatio: aspectRatio,
+      includeRaiReason: true,
+      personGeneration: personGeneration,
+    }
+    if (this.config.safeMode) {
+      config.safetyFilterLevel = SafetyFilterLevel.BLOCK_LOW_AND_ABOVE
+    }
 
-    async handleGeminiResponse(message) {
-        if (message?.setupComplete) { return } // Ignore setup message
+    // The Gemini API client rejects negativePrompt, so it rides along in the prompt
+    let prompt = styleText ? `${args.image_prompt}. Style: ${styleText}` : args.image_prompt
+    if (this.config.imageNegativePrompt) {
+      prompt += `. Avoid: ${this.config.imageNegativePrompt}`
+    }
 
-        // Handle the interrupt flag
-        if(message?.serverContent?.interrupted) {
-            this.log("message: " + JSON.stringify(message))
-            this.log("*** Interrupting ***")
-            this.audioQueue = []
-            this.processQueue(true)
-            return
-        }
+    return {
+      model: this.config.imageModel || IMAGE_MODEL,
+      prompt: prompt,
+      config: config,
+    }
+  },
+
+  // Built-in generate_image tool. editedFrom is set when an edit is done by regenerating
+  async generateImage(args, { editedFrom = null } = {}) {
+    const generateImagePrompt = args.image_prompt
+    if (!generateImagePrompt) {
+      this.warn("generate_image call missing 'image_prompt' argument")
+      return { error: "Missing image_prompt" }
+    }
 
-        let content = message?.serverContent?.modelTurn?.parts?.[0]
+    this.log(`Generating image with prompt: "${generateImagePrompt}"`)
+    this.turnRecord().images.push(generateImagePrompt)
 
-        // Handle Text
-        if (content?.text) {
-            this.log(`Extracted text: ` + content.text)
-            this.sendToFrontend("GEMINI_TEXT_RESPONSE", { text: content.text })
-        }
+    const deniedWord = this.findDeniedWord(generateImagePrompt)
+    if (deniedWord) {
+      this.warn(`Image prompt refused by the safe mode deny-list ("${deniedWord}")`)
+      return this.blockImage(SAFE_MODE_BLOCKED_REASON)
+    }
 
-        // Extract and Queue Audio Data
-        let extractedAudioData = content?.inlineData?.data
-        if (extractedAudioData) {
-            this.audioQueue.push(extractedAudioData)
+    this.sendToFrontend("GEMINI_IMAGE_GENERATING")
+    try {
+      const request = this.buildImageRequest(args)
+      this.log(`Image request: model ${request.model}, ${request.config.numberOfImages} image(s), aspect ratio ${request.config.aspectRatio}`)
+      const response = await this.imaGenAI.models.generateImages(request)
+      const generatedImages = response?.generatedImages || []
+
+      // Images can be filtered individually, keep whatever came through
+      const images = generatedImages.filter(generated => generated?.image?.imageBytes)
+      const raiReason = generatedImages.find(generated => generated?.raiReason)?.raiReason
+
+      // Handle potential safety flags/RAI reasons
+      if (images.length === 0 && raiReason) {
+        this.warn(`Image generation flagged for RAI reason: ${raiReason}`)
+        return this.blockImage(raiReason)
+      }
+
+      if (images.length > 0) {
+        const entries = images.map(generated => this.gallery.save(generated.image.imageBytes, { prompt: generateImagePrompt, mimeType: generated.image.mimeType, editedFrom: editedFrom }))
+        this.log(`${entries.length} image(s) generated successfully, saved as ${entries.map(entry => entry.file).join(", ")}`)
+        this.displayedImageId = entries[0].id
+        this.imageHistory = editedFrom ? [...this.imageHistory, entries[0].id] : [entries[0].id]
+        this.sendToFrontend("GEMINI_IMAGE_GENERATED", { images: entries.map(entry => this.describeImage(entry)) })
+        this.sendGalleryUpdate()
+        return { status: "displayed", prompt: generateImagePrompt, count: entries.length }
+      }
+      this.error("Image generation response received, but no image bytes found")
+      this.sendToFrontend("HELPER_ERROR", { error: "Image generation failed: No image data", fatal: false })
+      return { error: "No image data returned" }
+    } catch (imageError) {
+      this.error("Error during image generation API call:", imageError)
+      this.sendToFrontend("HELPER_ERROR", { error: `Image generation failed: ${imageError.message}`, fatal: false })
+      return { error: imageError.message }
+    }
+  },
 
-            // --- Trigger Playback if Threshold Reached and Not Already Playing ---
-            if (!this.processingQueue) {
-                this.log(`Starting playback`)
-                this.processQueue(false) // Start the playback loop
-            }
-        }
+  // Built-in edit_image tool. In "prompt" mode the picture is drawn again from the
+  // revised prompt, in "model" mode an image editing model changes the picture itself
+  async editImage(args) {
+    if (!args.instruction) {
+      return { error: "Missing instruction" }
+    }
+    const source = this.gallery.get(this.displayedImageId) || this.gallery.latest()
+    if (!source) {
+      return { error: "There is no picture to edit yet, generate one first" }
+    }
+    if (!this.imageHistory.includes(source.id)) {
+      this.imageHistory = [source.id]
+    }
 
-        let functioncall = message?.toolCall?.functionCalls?.[0]
-        // Handle Function Calls
-        if (functioncall) {
-            await this.handleFunctionCall(functioncall)
-        }
+    const deniedWord = this.findDeniedWord(args.instruction, args.revised_prompt || "")
+    if (deniedWord) {
+      this.warn(`Image edit refused by the safe mode deny-list ("${deniedWord}")`)
+      return this.blockImage(SAFE_MODE_BLOCKED_REASON)
+    }
 
-        // Check for Turn Completion (LOGGING ONLY when audio, clearing UI in text)
-        if (message?.serverContent?.turnComplete) {
-            this.log("Turn complete signal received")
-            // Send turn complete notification (still useful for UI)
-            this.sendToFrontend("GEMINI_TURN_COMPLETE", {})
-        }
-    },
-
-    // // Process the audio queue for playback
-    processQueue(interrupted) {
-        // 1. Check Stop Condition (Queue Empty)
-        if (this.audioQueue.length === 0) {
-            this.log("processQueue: Queue is empty. Playback loop ending")
-            // Speaker should be closed by the last write callback's .end()
-            // Safeguard: ensure flag is false and close speaker if it exists.
-            this.processingQueue = false
-            if (!interrupted && this.persistentSpeaker) {
-                this.warn("processQueue found empty queue but speaker exists! Forcing close")
-                this.closePersistentSpeaker()
-            }
-            return
-        }
+    if (this.config.imageEditMode !== "model") {
+      const revisedPrompt = args.revised_prompt || `${source.prompt}. ${args.instruction}`
+      this.log(`Editing image ${source.id} by regenerating: "${args.instruction}"`)
+      return this.generateImage({ ...args, image_prompt: revisedPrompt }, { editedFrom: source.id })
+    }
 
-        // 2. Ensure Playback Flag is Set
-        if (!this.processingQueue) {
-             this.processingQueue = true
-             this.log("processQueue: Starting playback loop")
+    this.log(`Editing image ${source.id} with ${this.config.imageEditModel || IMAGE_EDIT_MODEL}: "${args.instruction}"`)
+    this.turnRecord().images.push(`edit: ${args.instruction}`)
+    this.sendToFrontend("GEMINI_IMAGE_GENERATING")
+    try {
+      const response = await this.imaGenAI.models.generateContent({
+        model: this.config.imageEditModel || IMAGE_EDIT_MODEL,
+        contents: [{
+          role: "user",
+          parts: [
+            { inlineData: { mimeType: source.mimeType, data: this.gallery.readBase64(source) } },
+            { text: args.instruction },
+          ],
+        }],
+        config: { responseModalities: [Modality.TEXT, Modality.IMAGE], safetySettings: this.buildSafetySettings() },
+      })
+
+      const parts = response?.candidates?.[0]?.content?.parts || []
+      const imagePart = parts.find(part => part.inlineData?.mimeType?.startsWith("image/"))
+      if (!imagePart) {
+        const blockReason = response?.promptFeedback?.blockReason
+        const finishReason = response?.candidates?.[0]?.finishReason
+        if (blockReason || BLOCKED_FINISH_REASONS.includes(finishReason)) {
+          this.warn(`Image edit was blocked (${blockReason || finishReason})`)
+          return this.blockImage(blockReason || finishReason)
         }
+        const reason = finishReason || "no image returned"
+        this.warn(`Image edit returned no image (${reason})`)
+        this.sendToFrontend("HELPER_ERROR", { error: `Image edit failed: ${reason}`, fatal: false })
+        return { error: `No image returned (${reason})` }
+      }
+
+      const revisedPrompt = args.revised_prompt || `${source.prompt}. ${args.instruction}`
+      const entry = this.gallery.save(imagePart.inlineData.data, { prompt: revisedPrompt, mimeType: imagePart.inlineData.mimeType, editedFrom: source.id })
+      this.log(`Image edited successfully, saved as ${entry.file}`)
+      this.displayedImageId = entry.id
+      this.imageHistory.push(entry.id)
+      this.sendToFrontend("GEMINI_IMAGE_GENERATED", { images: [this.describeImage(entry)] })
+      this.sendGalleryUpdate()
+      return { status: "displayed", prompt: revisedPrompt }
+    } catch (editError) {
+      this.error("Error during image edit API call:", editError)
+      this.sendToFrontend("HELPER_ERROR", { error: `Image edit failed: ${editError.message}`, fatal: false })
+      return { error: editError.message }
+    }
+  },
 
-        // 3. Ensure Speaker Exists (Create ONLY if needed)
-        if (!this.persistentSpeaker || this.persistentSpeaker.destroyed) {
-            this.log("Creating new persistent speaker instance")
-            try {
-                this.persistentSpeaker = new Speaker({
-                    channels: CHANNELS,
-                    bitDepth: BITS,
-                    sampleRate: OUTPUT_SAMPLE_RATE,
-                })
-
-                this.persistentSpeaker.once('error', (err) => {
-                    this.error('Persistent Speaker Error:', err)
-                    this.closePersistentSpeaker()
-                })
-
-                this.persistentSpeaker.once('close', () => {
-                    this.log('Persistent Speaker Closed Event')
-                    // Ensure state is clean if closed unexpectedly or after end()
-                    this.persistentSpeaker = null
-                    if (this.processingQueue) {
-                         this.log('Speaker closed. Resetting processing flag')
-                         this.processingQueue = false
-                    }
-                })
-
-                this.persistentSpeaker.once('open', () => this.log('Persistent Speaker opened'))
-
-            } catch (e) {
-                this.error('Failed to create persistent speaker:', e)
-                this.persistentSpeaker = null
-                this.processingQueue = false 
-                this.audioQueue = []
-                return
-            }
-        }
+  // Built-in undo_image_edit tool. The undone version stays in the gallery
+  undoImageEdit() {
+    if (this.imageHistory.length < 2) {
+      return { error: "There is no earlier version of this picture" }
+    }
+    this.imageHistory.pop()
+    const previous = this.gallery.get(this.imageHistory[this.imageHistory.length - 1])
+    if (!previous) {
+      this.imageHistory = []
+      return { error: "The earlier version is no longer in the gallery" }
+    }
+    this.displayedImageId = previous.id
+    this.sendToFrontend("GEMINI_SHOW_IMAGE", { images: [this.describeImage(previous)] })
+    return { status: "displayed", prompt: previous.prompt }
+  },
+
+  async handleGeminiResponse(message) {
+    if (message?.setupComplete) {
+      // The server accepted our setup, so the connection is healthy. Resetting
+      // on onopen instead would loop quickly when the server rejects the key
+      this.reconnectManager.reset()
+      this.reconnectStatus = null
+      this.sessionEstablished = true
+      if (this.greetOnWake) {
+        this.greetOnWake = false
+        this.sendGreeting()
+      }
+      return
+    }
 
-         // Check again after attempting creation
-         if (!this.persistentSpeaker) {
-             this.error("Cannot process queue, speaker instance is not available")
-             this.processingQueue = false // Stop processing
-             return
-         }
-
-        // 4. Get and Write ONE Chunk
-        const chunkBase64 = this.audioQueue.shift() // Take the next chunk
-        const buffer = Buffer.from(chunkBase64, 'base64')
-
-        this.persistentSpeaker.write(buffer, (err) => {
-            if (err) {
-                this.error("Error writing buffer to persistent speaker:", err)
-                // Speaker error listener should handle cleanup via closePersistentSpeaker()
-                // Avoid calling closePersistentSpeaker directly here to prevent race conditions
-                return
-            }
+    if (message?.sessionResumptionUpdate) {
+      this.handleSessionResumptionUpdate(message.sessionResumptionUpdate)
+    }
 
-            // 5. Decide Next Step (Continue Loop or End Stream)
-            if (this.audioQueue.length > 0) {
-                // More chunks waiting? Immediately schedule the next write
-                this.processQueue(false)
-            } else {
-                // Queue is empty *after* taking the last chunk
-                this.log("Audio queue empty after playing chunk. Ending speaker stream gracefully")
-                 if (this.persistentSpeaker && !this.persistentSpeaker.destroyed) {
-                     // Call end() - allows last chunk to play, then 'close' event fires
-                     this.persistentSpeaker.end(() => {
-                        this.log("Speaker .end() callback fired after last chunk write")
-                        // The 'close' listener handles the actual state cleanup
-                     })
-                 } else {
-                     // Speaker already gone? Ensure flag is false
-                     this.processingQueue = false
-                 }
-            }
+    if (message?.goAway) {
+      this.handleGoAway(message.goAway)
+    }
+
+    // Transcriptions of both sides of the conversation arrive in small chunks
+    const inputTranscript = message?.serverContent?.inputTranscription?.text
+    if (inputTranscript) {
+      this.turnRecord().user += inputTranscript
+      this.sendToFrontend("GEMINI_CAPTION", { role: "user", text: inputTranscript })
+    }
+    const outputTranscript = message?.serverContent?.outputTranscription?.text
+    if (outputTranscript) {
+      this.turnRecord().model += outputTranscript
+      this.queueCaption({ text: outputTranscript })
+      if (this.currentTurn.typed) {
+        // A typed question is answered on screen as well as spoken
+        this.sendToFrontend("GEMINI_TEXT_RESPONSE", { text: outputTranscript })
+      }
+    }
+
+    // Handle the interrupt flag
+    if (message?.serverContent?.interrupted) {
+      this.log("message: " + JSON.stringify(message))
+      this.log("*** Interrupting ***")
+      this.finishTurn({ interrupted: true })
+      this.interruptPlayback()
+      this.sendToFrontend("GEMINI_CAPTIONS_STOP")
+      return
+    }
+
+    let content = message?.serverContent?.modelTurn?.parts?.[0]
+
+    // Handle Text
+    if (content?.text) {
+      this.log("Extracted text: " + content.text)
+      this.turnRecord().model += content.text
+      this.sendToFrontend("GEMINI_TEXT_RESPONSE", { text: content.text })
+    }
+
+    // Extract and Queue Audio Data
+    let extractedAudioData = content?.inlineData?.data
+    if (extractedAudioData) {
+      const audio = Buffer.from(extractedAudioData, "base64")
+      this.audioQueue.push(audio)
+      this.audioQueuedBytes += audio.length
+
+      // --- Trigger Playback if Threshold Reached and Not Already Playing ---
+      if (!this.processingQueue) {
+        this.log("Starting playback")
+        this.processQueue(false) // Start the playback loop
+      }
+    }
+
+    // Handle Function Calls
+    if (message?.toolCall) {
+      await this.handleToolCall(message.toolCall)
+    }
+
+    if (message?.toolCallCancellation) {
+      this.log(`Gemini cancelled tool call(s): ${(message.toolCallCancellation.ids || []).join(", ")}`)
+    }
+
+    // Check for Turn Completion (LOGGING ONLY when audio, clearing UI in text)
+    if (message?.serverContent?.turnComplete) {
+      this.log("Turn complete signal received")
+      this.finishTurn()
+      this.queueCaption({ text: "", final: true }) // Ends the caption line once the audio has played
+      if (this.listenTimer) {
+        this.refreshListenTimeout() // Give the user time to reply before disarming
+      }
+      // Send turn complete notification (still useful for UI)
+      this.sendToFrontend("GEMINI_TURN_COMPLETE", {})
+    }
+  },
+
+  // Model captions are held back until the audio they belong to has been written
+  // to the speaker, so the text on screen follows the voice instead of racing ahead
+  queueCaption(caption) {
+    this.captionQueue.push({ ...caption, atBytes: this.audioQueuedBytes })
+    this.releaseCaptions(!this.processingQueue && this.audioQueue.length === 0)
+  },
+
+  // Send captions whose audio has been played. With all=true the rest goes out
+  // too and the byte counters start over for the next response
+  releaseCaptions(all = false) {
+    while (this.captionQueue.length > 0 && (all || this.captionQueue[0].atBytes <= this.audioPlayedBytes)) {
+      const { text, final } = this.captionQueue.shift()
+      this.sendToFrontend("GEMINI_CAPTION", { role: "model", text: text, final: !!final })
+    }
+    if (all) {
+      this.audioQueuedBytes = 0
+      this.audioPlayedBytes = 0
+    }
+  },
+
+  // // Process the audio queue for playback
+  processQueue(interrupted) {
+    // 1. Check Stop Condition (Queue Empty)
+    if (this.audioQueue.length === 0) {
+      this.log("processQueue: Queue is empty. Playback loop ending")
+      // Speaker should be closed by the last write callback's .end()
+      // Safeguard: ensure flag is false and close speaker if it exists.
+      this.processingQueue = false
+      this.releaseCaptions(true)
+      if (!interrupted && this.persistentSpeaker) {
+        this.warn("processQueue found empty queue but speaker exists! Forcing close")
+        this.closePersistentSpeaker()
+      }
+      return
+    }
+
+    // 2. Ensure Playback Flag is Set
+    if (!this.processingQueue) {
+      this.processingQueue = true
+      this.log("processQueue: Starting playback loop")
+      this.startLevelReports()
+    }
+
+    // 3. Ensure Speaker Exists (Create ONLY if needed)
+    if (!this.persistentSpeaker || this.persistentSpeaker.destroyed) {
+      if (this.retiringSpeaker) {
+        // The interrupted speaker is still closing, playback resumes once it has
+        this.processingQueue = false
+        return
+      }
+      this.outputGain = this.targetGain() // A new answer starts at the current volume, no ramp
+      const playbackOptions = this.buildPlaybackOptions()
+      this.log(`Creating new persistent speaker instance (${playbackOptions.backend}${playbackOptions.device ? `, device ${playbackOptions.device}` : ""})`)
+      try {
+        this.persistentSpeaker = this.adapters.createSpeaker(playbackOptions)
+
+        this.persistentSpeaker.once("error", (err) => {
+          this.error("Persistent Speaker Error:", err)
+          this.closePersistentSpeaker()
+        })
+
+        this.persistentSpeaker.once("close", () => {
+          this.log("Persistent Speaker Closed Event")
+          // Ensure state is clean if closed unexpectedly or after end()
+          this.persistentSpeaker = null
+          if (this.processingQueue) {
+            this.log("Speaker closed. Resetting processing flag")
+            this.processingQueue = false
+          }
+          this.releaseCaptions(this.audioQueue.length === 0)
         })
-    },
 
-    closePersistentSpeaker() {
+        this.persistentSpeaker.once("open", () => this.log("Persistent Speaker opened"))
+      } catch (e) {
+        this.error("Failed to create persistent speaker:", e)
+        this.persistentSpeaker = null
+        this.processingQueue = false
+        this.audioQueue = []
+        return
+      }
+    }
+
+    // Check again after attempting creation
+    if (!this.persistentSpeaker) {
+      this.error("Cannot process queue, speaker instance is not available")
+      this.processingQueue = false // Stop processing
+      return
+    }
+
+    // 4. Write the next slice. Small slices keep little audio buffered ahead of
+    // the speaker, so an interruption silences it almost at once
+    const chunk = this.audioQueue[0]
+    const slice = chunk.subarray(0, PLAYBACK_SLICE_BYTES)
+    if (slice.length < chunk.length) {
+      this.audioQueue[0] = chunk.subarray(PLAYBACK_SLICE_BYTES)
+    } else {
+      this.audioQueue.shift()
+    }
+
+    this.echoGate?.notePlayback(slice.length / (OUTPUT_SAMPLE_RATE * 2 / 1000))
+    this.levelMeter.notePlayback(slice)
+    this.persistentSpeaker.write(this.scaleSlice(slice), (err) => {
+      if (err) {
+        this.error("Error writing buffer to persistent speaker:", err)
+        // Speaker error listener should handle cleanup via closePersistentSpeaker()
+        // Avoid calling closePersistentSpeaker directly here to prevent race conditions
+        return
+      }
+
+      this.audioPlayedBytes += slice.length
+      this.releaseCaptions()
+
+      // 5. Decide Next Step (Continue Loop or End Stream)
+      if (this.audioQueue.length > 0) {
+        // More chunks waiting? Immediately schedule the next write
+        this.processQueue(false)
+      } else {
+        // Queue is empty *after* taking the last chunk
+        this.log("Audio queue empty after playing chunk. Ending speaker stream gracefully")
         if (this.persistentSpeaker && !this.persistentSpeaker.destroyed) {
-            this.log("Closing persistent speaker...")
-            try {
-                 // Remove listeners to prevent acting on events after initiating close
-                 this.persistentSpeaker.removeAllListeners() // Remove all listeners associated with this speaker
-
-                 // Call end to flush and close gracefully
-                 // The 'close' event should ideally handle state reset, but do it defensively here too
-                 this.persistentSpeaker.end(() => {
-                     this.log("Speaker .end() callback fired during closePersistentSpeaker")
-                 })
-                 this.persistentSpeaker = null
-                 this.processingQueue = false // Reset state immediately after initiating close
-                 this.log("Speaker close initiated, state reset")
-
-            } catch (e) {
-                this.error("Error trying to close persistent speaker:", e)
-                this.persistentSpeaker = null // Ensure null even if close fails
-                this.processingQueue = false
-            }
+          // Call end() - allows last chunk to play, then 'close' event fires
+          this.persistentSpeaker.end(() => {
+            this.log("Speaker .end() callback fired after last chunk write")
+            // The 'close' listener handles the actual state cleanup
+          })
         } else {
-            // If speaker doesn't exist or already destroyed, ensure state is correct
-            this.persistentSpeaker = null
-            this.processingQueue = false
+          // Speaker already gone? Ensure flag is false
+          this.processingQueue = false
         }
+      }
+    })
+  },
+
+  // Volume for the next slice: outputVolume, lowered to duckingVolume while the user talks
+  targetGain() {
+    const volume = this.config.outputVolume ?? 1
+    const ducked = this.config.duckingEnabled && Date.now() < this.duckUntil
+    return ducked ? volume * (this.config.duckingVolume ?? DEFAULT_DUCKING_VOLUME) : volume
+  },
+
+  // Apply the output volume, ramping from the previous slice's gain
+  scaleSlice(slice) {
+    const startGain = this.outputGain
+    this.outputGain = this.targetGain()
+    if (startGain === 1 && this.outputGain === 1) { return slice }
+    return applyGain(slice, startGain, this.outputGain)
+  },
+
+  // The mic picked up speech. With duckingEnabled the mirror gets quieter
+  // until the user has stopped talking, or Gemini interrupts it
+  duckPlayback() {
+    if (!this.config.duckingEnabled || !this.processingQueue) { return }
+    if (Date.now() >= this.duckUntil) {
+      this.log("Ducking playback while the user talks")
+    }
+    this.duckUntil = Date.now() + DUCK_RELEASE_MS
+  },
+
+  // Mic and playback levels for the frontend's indicator, every audioLevelInterval
+  // ms while the mic runs or the mirror talks. The last report, once both have
+  // stopped, tells the frontend that playback is over
+  startLevelReports() {
+    if (this.levelTimer) { return }
+    const interval = Math.max(MIN_AUDIO_LEVEL_INTERVAL, this.config.audioLevelInterval || DEFAULT_AUDIO_LEVEL_INTERVAL)
+    this.levelMeter.reset()
+    this.levelTimer = setInterval(() => this.reportAudioLevels(), interval)
+  },
+
+  reportAudioLevels() {
+    const playing = this.processingQueue
+    this.sendToFrontend("AUDIO_LEVELS", this.levelMeter.report(playing))
+    if (!this.isRecording && !playing) {
+      clearInterval(this.levelTimer)
+      this.levelTimer = null
+    }
+  },
+
+  // Barge-in: silence the mirror at once. Queued audio is dropped, the speaker
+  // gets a short fade-out of what would have played next and is then closed, and
+  // the next answer starts on a fresh speaker
+  interruptPlayback() {
+    const upcoming = this.audioQueue[0]
+    this.audioQueue = []
+    this.captionQueue = [] // Drop captions for audio that will never be played
+    this.audioQueuedBytes = 0
+    this.audioPlayedBytes = 0
+    this.processingQueue = false
+    const fadeStartGain = this.outputGain
+    this.outputGain = this.targetGain()
+
+    const speaker = this.persistentSpeaker
+    this.persistentSpeaker = null
+    if (!speaker || speaker.destroyed) { return }
+
+    this.log("Interrupted, flushing playback")
+    this.retiringSpeaker = speaker
+    const retired = () => {
+      clearTimeout(retireTimer)
+      if (this.retiringSpeaker !== speaker) { return }
+      this.retiringSpeaker = null
+      if (this.audioQueue.length > 0 && !this.processingQueue) {
+        this.processQueue(false)
+      }
+    }
+    const retireTimer = setTimeout(retired, SPEAKER_RETIRE_TIMEOUT)
+    speaker.removeAllListeners()
+    speaker.on("error", err => this.warn("Error while closing the interrupted speaker:", err.message))
+    speaker.once("close", retired)
+
+    const fadeMs = this.config.fadeOutMs ?? DEFAULT_FADE_OUT_MS
+    const fadeBytes = Math.round(OUTPUT_SAMPLE_RATE * fadeMs / 1000) * 2
+    this.echoGate?.stopPlayback(fadeMs)
+    const fade = upcoming ? applyGain(upcoming.subarray(0, fadeBytes), fadeStartGain, 0) : null
+    try {
+      if (fade?.length > 0) {
+        speaker.end(fade)
+      } else {
+        speaker.end()
+      }
+    } catch (endError) {
+      this.warn("Could not end the interrupted speaker:", endError.message)
+      retired()
+    }
+  },
+
+  closePersistentSpeaker() {
+    if (this.persistentSpeaker && !this.persistentSpeaker.destroyed) {
+      this.log("Closing persistent speaker...")
+      try {
+        // Remove listeners to prevent acting on events after initiating close
+        this.persistentSpeaker.removeAllListeners() // Remove all listeners associated with this speaker
+
+        // Call end to flush and close gracefully
+        // The 'close' event should ideally handle state reset, but do it defensively here too
+        this.persistentSpeaker.end(() => {
+          this.log("Speaker .end() callback fired during closePersistentSpeaker")
+        })
+        this.persistentSpeaker = null
+        this.processingQueue = false // Reset state immediately after initiating close
+        this.log("Speaker close initiated, state reset")
+      } catch (e) {
+        this.error("Error trying to close persistent speaker:", e)
+        this.persistentSpeaker = null // Ensure null even if close fails
+        this.processingQueue = false
+      }
+    } else {
+      // If speaker doesn't exist or already destroyed, ensure state is correct
+      this.persistentSpeaker = null
+      this.processingQueue = false
     }
+  }
 
-})
\ No newline at end of file
+})
@@ -0,0 +1,75 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const path = require("path")
+const { FakeLiveServer } = require("./fakes/fake_live_server")
+const { loadApiKey, maskKey, redact } = require("../utils/api_key")
+const { TEST_IDENTIFIER, TEST_API_KEY, createHelper, connect, waitForNotification, tempDirectory, destroyHelper } = require("./support/helper")
+
+test("the environment variable wins over the key file", (t) => {
+  const directory = tempDirectory(t)
+  const file = path.join(directory, "api_key.txt")
+  fs.writeFileSync(file, "AIza-from-the-file-1111\n")
+
+  assert.deepEqual(loadApiKey({ directory: directory, env: { GEMINI_API_KEY: " AIza-from-the-env-2222 " } }), { key: "AIza-from-the-env-2222", source: "the GEMINI_API_KEY environment variable", file: file })
+  assert.deepEqual(loadApiKey({ directory: directory, env: {} }), { key: "AIza-from-the-file-1111", source: file, file: file })
+  const missing = path.join(directory, "missing.txt")
+  assert.deepEqual(loadApiKey({ directory: directory, env: { GEMINI_API_KEY_FILE: "missing.txt" } }), { key: null, source: null, file: missing })
+})
+
+test("loaded keys are masked in text and errors", (t) => {
+  const directory = tempDirectory(t)
+  fs.writeFileSync(path.join(directory, "api_key.txt"), "AIza-masked-key-3333")
+  loadApiKey({ directory: directory, env: {} })
+
+  assert.equal(maskKey("AIza-masked-key-3333"), "AIza...3333")
+  assert.equal(maskKey("short"), "***")
+  assert.equal(redact("url?key=AIza-masked-key-3333&alt=sse"), "url?key=AIza...3333&alt=sse")
+  assert.doesNotMatch(redact(new Error("Bad key AIza-masked-key-3333")), /masked-key/)
+  assert.equal(redact({ key: "AIza-masked-key-3333" }), "{\"key\":\"AIza...3333\"}")
+  const harmless = new Error("Nothing secret")
+  assert.equal(redact(harmless), harmless)
+})
+
+test("reports a missing key instead of connecting", async () => {
+  const server = new FakeLiveServer()
+  const helper = createHelper({ server, apiKey: null })
+
+  await connect(helper, { apiKeyFile: "/etc/hostname" })
+
+  const missing = await waitForNotification(helper, "API_KEY_MISSING", { sinceIndex: 0 })
+  assert.equal(missing.env, "GEMINI_API_KEY")
+  assert.equal(missing.file, path.join(helper.path, "api_key.txt"))
+  assert.equal(missing.identifier, TEST_IDENTIFIER)
+  assert.equal(server.connections.length, 0)
+  await destroyHelper(helper)
+})
+
+test("masks the key in errors forwarded to the mirror", async () => {
+  const server = new FakeLiveServer([[{ reject: `API key not valid: ${TEST_API_KEY}` }]])
+  const helper = createHelper({ server })
+
+  await connect(helper)
+
+  const error = await waitForNotification(helper, "HELPER_ERROR", { sinceIndex: 0 })
+  assert.equal(error.error, `API Initialization failed: API key not valid: ${maskKey(TEST_API_KEY)}`)
+  const reconnecting = await waitForNotification(helper, "RECONNECTING", { sinceIndex: 0 })
+  assert.doesNotMatch(reconnecting.reason, /test-key/)
+  await destroyHelper(helper)
+})
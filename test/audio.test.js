@@ -0,0 +1,82 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const { PcmConverter } = require("../utils/audio")
+const { sineTone } = require("./fakes/pcm")
+
+function samples(buffer) {
+  return Array.from({ length: buffer.length / 2 }, (_, i) => buffer.readInt16LE(i * 2))
+}
+
+// Interleaved 16-bit PCM from one array of samples per channel
+function interleave(...channels) {
+  const buffer = Buffer.alloc(channels[0].length * channels.length * 2)
+  channels[0].forEach((_, frame) => channels.forEach((channel, index) => {
+    buffer.writeInt16LE(channel[frame], (frame * channels.length + index) * 2)
+  }))
+  return buffer
+}
+
+test("passes mono audio at the output rate through untouched", () => {
+  const converter = new PcmConverter({ inputRate: 16000, outputRate: 16000 })
+  const chunk = sineTone({ sampleRate: 16000 })
+
+  assert.equal(converter.isPassthrough, true)
+  assert.equal(converter.process(chunk), chunk)
+})
+
+test("resamples to the output rate", () => {
+  for (const inputRate of [48000, 44100, 8000]) {
+    const converter = new PcmConverter({ inputRate, outputRate: 16000 })
+    const output = converter.process(sineTone({ sampleRate: inputRate, durationMs: 1000 }))
+    const expected = samples(sineTone({ sampleRate: 16000, durationMs: 1000 }))
+
+    // The last input frame or two wait for the next chunk to interpolate against
+    assert.ok(Math.abs(output.length / 2 - 16000) <= 2, `${inputRate} Hz gave ${output.length / 2} samples`)
+    // A 440 Hz tone comes out as the same tone, give or take interpolation error
+    const worst = Math.max(...samples(output).map((sample, i) => Math.abs(sample - expected[i])))
+    assert.ok(worst < 8000 * 0.05, `${inputRate} Hz is off by up to ${worst}`)
+  }
+})
+
+test("averages stereo down to mono", () => {
+  const converter = new PcmConverter({ inputRate: 16000, inputChannels: 2, outputRate: 16000 })
+  const output = converter.process(interleave([1000, -4000, 32767], [3000, 4000, 32767]))
+  const next = converter.process(interleave([-32768], [-32768]))
+
+  assert.equal(converter.isPassthrough, false)
+  assert.deepEqual(samples(output), [2000, 0]) // The last frame comes out with the next chunk
+  assert.deepEqual(samples(next), [32767])
+})
+
+test("carries partial frames and the interpolation position across chunks", () => {
+  const input = interleave(samples(sineTone({ sampleRate: 44100, durationMs: 500 })), samples(sineTone({ sampleRate: 44100, durationMs: 500, frequency: 220 })))
+  const whole = new PcmConverter({ inputRate: 44100, inputChannels: 2, outputRate: 16000 }).process(input)
+
+  const chunked = new PcmConverter({ inputRate: 44100, inputChannels: 2, outputRate: 16000 })
+  const parts = []
+  // Odd sizes split frames and even single samples between chunks
+  for (let start = 0, size = 1; start < input.length; start += size, size = size * 3 % 1001 + 1) {
+    parts.push(chunked.process(input.subarray(start, start + size)))
+  }
+
+  // Same samples, give or take the rounding of the running position
+  const joined = samples(Buffer.concat(parts))
+  assert.equal(joined.length, whole.length / 2)
+  samples(whole).forEach((sample, i) => assert.ok(Math.abs(sample - joined[i]) <= 1, `sample ${i}: ${sample} vs ${joined[i]}`))
+})
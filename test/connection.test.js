@@ -0,0 +1,129 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const path = require("path")
+const { FakeLiveServer, messages } = require("./fakes/fake_live_server")
+const { FakeRecorder } = require("./fakes/fake_recorder")
+const { sineTone, writePcm } = require("./fakes/pcm")
+const { TEST_IDENTIFIER, createHelper, connect, send, waitForNotification, waitUntil, notificationNames, tempDirectory, destroyHelper } = require("./support/helper")
+
+test("connects and reports HELPER_READY", async () => {
+  const server = new FakeLiveServer()
+  const helper = createHelper({ server })
+
+  const mirror = await connect(helper, { controllableModules: ["clock"] })
+
+  const names = notificationNames(helper)
+  assert.ok(names.indexOf("INITIALIZING") < names.indexOf("HELPER_READY"))
+  assert.deepEqual(await waitForNotification(helper, "HELPER_READY", { sinceIndex: 0 }), { recording: false, identifier: TEST_IDENTIFIER })
+  assert.equal(mirror.connectionOpen, true)
+
+  const { params } = server.connections[0]
+  assert.equal(params.model, "test-live-model")
+  const toolNames = params.config.tools[0].functionDeclarations.map(declaration => declaration.name)
+  assert.ok(toolNames.includes("generate_image"))
+  assert.ok(toolNames.includes("list_modules"))
+
+  await waitUntil(() => mirror.sessionEstablished)
+  await destroyHelper(helper)
+})
+
+test("schedules a retry when connecting fails", async () => {
+  const server = new FakeLiveServer([[{ reject: "API key not valid" }]])
+  const helper = createHelper({ server })
+
+  await connect(helper)
+
+  assert.match(helper.sentNotifications.find(sent => sent.notification === "HELPER_ERROR").payload.error, /API key not valid/)
+  const reconnecting = await waitForNotification(helper, "RECONNECTING", { sinceIndex: 0 })
+  assert.equal(reconnecting.attempt, 1)
+
+  await waitForNotification(helper, "HELPER_READY")
+  assert.equal(server.connections.length, 2)
+  await destroyHelper(helper)
+})
+
+test("goes offline after too many failed attempts", async () => {
+  const failure = [{ reject: "Service unavailable" }]
+  const server = new FakeLiveServer([failure, failure, failure])
+  const helper = createHelper({ server })
+
+  await connect(helper, { reconnectMaxAttempts: 2, reconnectCooldown: 60000 })
+
+  const offline = await waitForNotification(helper, "CONNECTION_OFFLINE", { sinceIndex: 0 })
+  assert.equal(offline.maxAttempts, 2)
+  assert.equal(server.connections.length, 3)
+  assert.equal(notificationNames(helper).filter(name => name === "RECONNECTING").length, 2)
+  await destroyHelper(helper)
+})
+
+test("reconnects and restarts the microphone after the server closes", async (t) => {
+  const file = writePcm(tempDirectory(t), "mic.pcm", sineTone())
+
+  const server = new FakeLiveServer([[
+    { send: messages.setupComplete() },
+    { waitFor: "audio" },
+    { close: { code: 1011, reason: "Internal error" } },
+  ]])
+  const recorder = new FakeRecorder({ file })
+  const helper = createHelper({ server, recorder })
+
+  const mirror = await connect(helper, { inputSampleRate: 16000 })
+  await send(helper, "START_CONTINUOUS_RECORDING")
+
+  const reconnecting = await waitForNotification(helper, "RECONNECTING")
+  assert.equal(reconnecting.reason, "Internal error")
+  assert.equal(mirror.isRecording, false)
+
+  const ready = await waitForNotification(helper, "HELPER_READY")
+  assert.deepEqual(ready, { recording: true, identifier: TEST_IDENTIFIER })
+  assert.equal(recorder.recordings.length, 2)
+  assert.equal(mirror.isRecording, true)
+  await destroyHelper(helper)
+})
+
+test("resumes the conversation with the stored session handle", async () => {
+  const server = new FakeLiveServer([[
+    { send: messages.setupComplete() },
+    { send: messages.resumption("handle-1") },
+    { close: { code: 1001, reason: "Going away" } },
+  ]])
+  const helper = createHelper({ server })
+
+  await connect(helper)
+  await waitForNotification(helper, "HELPER_READY", { match: () => server.connections.length === 2 })
+
+  assert.deepEqual(server.connections[0].params.config.sessionResumption, {})
+  assert.deepEqual(server.connections[1].params.config.sessionResumption, { handle: "handle-1" })
+  const stored = JSON.parse(fs.readFileSync(path.join(helper.path, "data", "sessions", `${TEST_IDENTIFIER}.json`), "utf8"))
+  assert.equal(stored.handle, "handle-1")
+  await destroyHelper(helper)
+})
+
+test("does not reconnect after stop()", async () => {
+  const server = new FakeLiveServer()
+  const helper = createHelper({ server })
+
+  const mirror = await connect(helper)
+  await destroyHelper(helper)
+
+  assert.equal(server.connections[0].session.closed, true)
+  assert.equal(mirror.reconnectManager.pending, false)
+  assert.ok(!notificationNames(helper).includes("RECONNECTING"))
+})
@@ -0,0 +1,298 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const path = require("path")
+const { FakeLiveServer, messages } = require("./fakes/fake_live_server")
+const { FakeSpeaker } = require("./fakes/fake_speaker")
+const { sineTone } = require("./fakes/pcm")
+const { TEST_IDENTIFIER, createHelper, connect, send, waitForNotification, waitUntil, notificationNames, tempDirectory, destroyHelper } = require("./support/helper")
+
+const OUTPUT_RATE = 24000
+
+test("plays audio parts in order and paces captions to playback", async (t) => {
+  const first = sineTone({ sampleRate: OUTPUT_RATE, frequency: 300, durationMs: 100 })
+  const second = sineTone({ sampleRate: OUTPUT_RATE, frequency: 600, durationMs: 100 })
+  const server = new FakeLiveServer([[
+    { send: messages.setupComplete() },
+    { send: messages.outputTranscript("Hello ") },
+    { send: messages.audio(first) },
+    { send: messages.outputTranscript("there") },
+    { send: messages.audio(second) },
+    { send: messages.turnComplete() },
+  ]])
+  const file = path.join(tempDirectory(t), "speaker.pcm")
+  const speaker = new FakeSpeaker({ file })
+  const helper = createHelper({ server, speaker })
+
+  const mirror = await connect(helper)
+  await waitForNotification(helper, "GEMINI_TURN_COMPLETE")
+  const finalCaption = await waitForNotification(helper, "GEMINI_CAPTION", { sinceIndex: 0, match: caption => caption.final })
+
+  const expected = Buffer.concat([first, second])
+  await waitUntil(() => speaker.played.length === expected.length)
+  assert.ok(speaker.played.equals(expected))
+  assert.ok(fs.readFileSync(file).equals(expected))
+  assert.deepEqual(speaker.instances[0].options, {
+    backend: "speaker",
+    directory: path.join(helper.path, "data", "responses"),
+    channels: 1,
+    bitDepth: 16,
+    sampleRate: OUTPUT_RATE,
+  })
+
+  const captions = helper.sentNotifications.filter(sent => sent.notification === "GEMINI_CAPTION").map(sent => sent.payload)
+  assert.deepEqual(captions.map(caption => caption.text), ["Hello ", "there", ""])
+  assert.equal(finalCaption.role, "model")
+
+  await waitUntil(() => !mirror.processingQueue)
+  await destroyHelper(helper)
+})
+
+test("drops queued audio when the user interrupts and fades out", async () => {
+  const chunk = sineTone({ sampleRate: OUTPUT_RATE, durationMs: 200 })
+  const server = new FakeLiveServer([[
+    { send: messages.setupComplete() },
+    { send: messages.audio(chunk) },
+    { send: messages.audio(chunk) },
+    { send: messages.interrupted() },
+  ]])
+  const speaker = new FakeSpeaker()
+  const helper = createHelper({ server, speaker })
+
+  const mirror = await connect(helper, { fadeOutMs: 10 })
+  await waitForNotification(helper, "GEMINI_CAPTIONS_STOP")
+
+  assert.deepEqual(mirror.audioQueue, [])
+  const [interrupted] = speaker.instances
+  await waitUntil(() => interrupted.closed)
+
+  // One 40ms slice was in flight, then 10ms fading to silence
+  const sliceBytes = OUTPUT_RATE * 2 * 40 / 1000
+  const fadeBytes = OUTPUT_RATE * 2 * 10 / 1000
+  assert.equal(speaker.played.length, sliceBytes + fadeBytes)
+  assert.ok(speaker.played.subarray(0, sliceBytes).equals(chunk.subarray(0, sliceBytes)))
+  assert.equal(speaker.played.readInt16LE(speaker.played.length - 2), 0)
+  assert.equal(mirror.retiringSpeaker, null)
+  await destroyHelper(helper)
+})
+
+test("plays the next answer on a fresh speaker after an interruption", async () => {
+  const first = sineTone({ sampleRate: OUTPUT_RATE, frequency: 300, durationMs: 200 })
+  const second = sineTone({ sampleRate: OUTPUT_RATE, frequency: 600, durationMs: 100 })
+  const server = new FakeLiveServer([[
+    { send: messages.setupComplete() },
+    { send: messages.audio(first) },
+    { send: messages.interrupted() },
+    { send: messages.audio(second) },
+    { send: messages.turnComplete() },
+  ]])
+  const speaker = new FakeSpeaker()
+  const helper = createHelper({ server, speaker })
+
+  await connect(helper)
+  await waitUntil(() => speaker.instances.length === 2 && speaker.instances[1].closed)
+
+  assert.ok(speaker.instances[0].closed)
+  assert.ok(speaker.played.subarray(speaker.played.length - second.length).equals(second))
+  await destroyHelper(helper)
+})
+
+test("plays at the configured output volume", async () => {
+  const audio = sineTone({ sampleRate: OUTPUT_RATE, durationMs: 100, amplitude: 10000 })
+  const server = new FakeLiveServer([[
+    { send: messages.setupComplete() },
+    { send: messages.audio(audio) },
+    { send: messages.turnComplete() },
+  ]])
+  const speaker = new FakeSpeaker()
+  const helper = createHelper({ server, speaker })
+
+  await connect(helper, { outputVolume: 0.5 })
+  await waitUntil(() => speaker.played.length === audio.length)
+
+  for (let offset = 0; offset < audio.length; offset += 2) {
+    assert.ok(Math.abs(speaker.played.readInt16LE(offset) - audio.readInt16LE(offset) * 0.5) <= 1)
+  }
+  await destroyHelper(helper)
+})
+
+test("shows text parts on screen", async () => {
+  const server = new FakeLiveServer([[
+    { send: messages.setupComplete() },
+    { send: messages.text("It is sunny today") },
+    { send: messages.turnComplete() },
+  ]])
+  const helper = createHelper({ server, speaker: new FakeSpeaker() })
+
+  await connect(helper)
+  await waitForNotification(helper, "GEMINI_TURN_COMPLETE")
+
+  assert.deepEqual(await waitForNotification(helper, "GEMINI_TEXT_RESPONSE", { sinceIndex: 0 }), { text: "It is sunny today", identifier: TEST_IDENTIFIER })
+  await destroyHelper(helper)
+})
+
+test("runs a mirror tool in the frontend and returns its result to Gemini", async () => {
+  const server = new FakeLiveServer([[
+    { send: messages.setupComplete() },
+    { send: messages.toolCall("list_modules", {}, "call-1") },
+    { waitFor: "toolResponse" },
+    { send: messages.turnComplete() },
+  ]])
+  const helper = createHelper({ server })
+
+  await connect(helper, { controllableModules: ["clock"] })
+  const toolCall = await waitForNotification(helper, "TOOL_CALL")
+  assert.equal(toolCall.name, "list_modules")
+  assert.equal(toolCall.owner, "MMM-Gemini")
+
+  await send(helper, "TOOL_RESULT", { id: toolCall.id, result: { modules: [{ name: "clock", hidden: false }] } })
+  await waitForNotification(helper, "GEMINI_TURN_COMPLETE")
+
+  const [response] = server.lastSession.received.toolResponse[0].functionResponses
+  assert.deepEqual(response, { id: "call-1", name: "list_modules", response: { modules: [{ name: "clock", hidden: false }] } })
+  await destroyHelper(helper)
+})
+
+test("drops a remote tool call once it times out", async () => {
+  const server = new FakeLiveServer([[
+    { send: messages.setupComplete() },
+    { send: messages.toolCall("open_blinds", {}, "call-1") },
+  ]])
+  const helper = createHelper({ server })
+
+  await send(helper, "REGISTER_TOOL", { declaration: { name: "open_blinds" }, owner: "MMM-Blinds", timeout: 30 })
+  const mirror = await connect(helper)
+  await waitForNotification(helper, "TOOL_CALL")
+  await waitUntil(() => server.lastSession.received.toolResponse.length === 1)
+  await waitUntil(() => mirror.pendingRemoteTools.size === 0)
+
+  const [response] = server.lastSession.received.toolResponse[0].functionResponses
+  assert.deepEqual(response.response, { error: "Timed out after 30ms" })
+  assert.equal(mirror.toolRegistry.timeoutOf("unknown_tool"), 10000)
+  await destroyHelper(helper)
+})
+
+test("answers unknown tools with an error", async () => {
+  const server = new FakeLiveServer([[
+    { send: messages.setupComplete() },
+    { send: messages.toolCall("make_coffee") },
+  ]])
+  const helper = createHelper({ server })
+
+  await connect(helper)
+  await waitUntil(() => server.lastSession.received.toolResponse.length === 1)
+
+  const [response] = server.lastSession.received.toolResponse[0].functionResponses
+  assert.deepEqual(response.response, { error: "Unknown function 'make_coffee'" })
+  assert.ok(!notificationNames(helper).includes("TOOL_CALL"))
+  await destroyHelper(helper)
+})
+
+test("shows only refused image edits as blocked", async () => {
+  const server = new FakeLiveServer()
+  server.contentResponses = [
+    { candidates: [{ finishReason: "IMAGE_SAFETY", content: { parts: [] } }] },
+    { candidates: [{ finishReason: "MAX_TOKENS", content: { parts: [] } }] },
+    { candidates: [{ finishReason: "STOP", content: { parts: [{ text: "Here is a description instead" }] } }] },
+  ]
+  const helper = createHelper({ server })
+
+  const mirror = await connect(helper, { imageEditMode: "model" })
+  await waitUntil(() => mirror.sessionEstablished)
+  mirror.gallery.save(Buffer.from("png").toString("base64"), { prompt: "a cat" })
+
+  assert.deepEqual(await mirror.editImage({ instruction: "give it a hat" }), { status: "blocked", reason: "IMAGE_SAFETY" })
+  assert.deepEqual(await mirror.editImage({ instruction: "give it a hat" }), { error: "No image returned (MAX_TOKENS)" })
+  assert.deepEqual(await mirror.editImage({ instruction: "give it a hat" }), { error: "No image returned (STOP)" })
+
+  assert.equal(notificationNames(helper).filter(name => name === "GEMINI_IMAGE_BLOCKED").length, 1)
+  const errors = helper.sentNotifications.filter(sent => sent.notification === "HELPER_ERROR").map(sent => sent.payload)
+  assert.deepEqual(errors.map(error => [error.error, error.fatal]), [["Image edit failed: MAX_TOKENS", false], ["Image edit failed: STOP", false]])
+  await destroyHelper(helper)
+})
+
+test("answers a typed prompt both spoken and on screen", async () => {
+  const audio = sineTone({ sampleRate: OUTPUT_RATE, durationMs: 50 })
+  const server = new FakeLiveServer([[
+    { send: messages.setupComplete() },
+    { waitFor: "clientContent" },
+    { send: messages.outputTranscript("Sunny, ") },
+    { send: messages.audio(audio) },
+    { send: messages.outputTranscript("with a light breeze.") },
+    { send: messages.turnComplete() },
+  ]])
+  const speaker = new FakeSpeaker()
+  const helper = createHelper({ server, speaker })
+
+  await connect(helper)
+  await send(helper, "SEND_TEXT", { text: "How is the weather?" })
+  await waitForNotification(helper, "GEMINI_TURN_COMPLETE")
+
+  assert.deepEqual(server.lastSession.received.clientContent, [
+    { turns: [{ role: "user", parts: [{ text: "How is the weather?" }] }], turnComplete: true },
+  ])
+  assert.deepEqual(await waitForNotification(helper, "GEMINI_CAPTION", { sinceIndex: 0 }), { role: "user", text: "How is the weather?", final: true, identifier: TEST_IDENTIFIER })
+  const shown = helper.sentNotifications.filter(sent => sent.notification === "GEMINI_TEXT_RESPONSE").map(sent => sent.payload.text)
+  assert.equal(shown.join(""), "Sunny, with a light breeze.")
+  await waitUntil(() => speaker.played.length === audio.length)
+  await destroyHelper(helper)
+})
+
+test("spoken questions are not duplicated as on-screen text", async () => {
+  const server = new FakeLiveServer([[
+    { send: messages.setupComplete() },
+    { send: messages.inputTranscript("How is the weather?") },
+    { send: messages.outputTranscript("Sunny.") },
+    { send: messages.turnComplete() },
+  ]])
+  const helper = createHelper({ server, speaker: new FakeSpeaker() })
+
+  await connect(helper)
+  await waitForNotification(helper, "GEMINI_TURN_COMPLETE")
+
+  assert.ok(!notificationNames(helper).includes("GEMINI_TEXT_RESPONSE"))
+  await destroyHelper(helper)
+})
+
+test("text-only sessions ask for text and configure no voice", async () => {
+  const server = new FakeLiveServer()
+  const helper = createHelper({ server })
+
+  await connect(helper, { responseModality: "text" })
+
+  const { config } = server.connections[0].params
+  assert.deepEqual(config.responseModalities, ["TEXT"])
+  assert.equal(config.speechConfig, undefined)
+  assert.equal(config.outputAudioTranscription, undefined)
+  await destroyHelper(helper)
+})
+
+test("refuses typed prompts while disconnected", async () => {
+  const server = new FakeLiveServer([[{ reject: "offline" }]])
+  const helper = createHelper({ server })
+
+  await connect(helper)
+  await send(helper, "SEND_TEXT", { text: "Hello?" })
+
+  const errors = helper.sentNotifications.filter(sent => sent.notification === "HELPER_ERROR")
+  assert.match(errors.at(-1).payload.error, /Cannot send text/)
+  assert.equal(errors.at(-1).payload.fatal, false)
+  assert.equal(server.connections[0].session.received.clientContent.length, 0)
+  await destroyHelper(helper)
+})
@@ -0,0 +1,113 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const { EchoGate } = require("../utils/echo")
+const { FakeLiveServer, messages } = require("./fakes/fake_live_server")
+const { FakeRecorder } = require("./fakes/fake_recorder")
+const { FakeSpeaker } = require("./fakes/fake_speaker")
+const { sineTone, writePcm } = require("./fakes/pcm")
+const { createHelper, connect, send, waitUntil, tempDirectory, destroyHelper } = require("./support/helper")
+
+const RATE = 16000
+const chunkOf = amplitude => sineTone({ sampleRate: RATE, durationMs: 50, amplitude })
+const isSilent = chunk => chunk.every(byte => byte === 0)
+
+function gate(options = {}) {
+  return new EchoGate({ sampleRate: RATE, tailMs: 300, bargeInThreshold: 3000, bargeInMs: 100, ...options })
+}
+
+test("passes the mic through while nothing is playing", () => {
+  const echo = gate()
+  const chunk = chunkOf(1000)
+  assert.deepEqual(echo.process(chunk, 0), [chunk])
+})
+
+test("mutes the mic during playback and for the tail afterwards", () => {
+  const echo = gate()
+  echo.notePlayback(500, 1000)
+
+  const [during] = echo.process(chunkOf(1000), 1200)
+  assert.ok(isSilent(during))
+  const [tail] = echo.process(chunkOf(1000), 1700)
+  assert.ok(isSilent(tail))
+  const after = chunkOf(1000)
+  assert.deepEqual(echo.process(after, 1801), [after])
+  assert.equal(echo.stats.suppressed, 2)
+})
+
+test("attenuates instead of muting in attenuate mode", () => {
+  const echo = gate({ mode: "attenuate", attenuation: 0.5 })
+  echo.notePlayback(500, 0)
+  const chunk = chunkOf(2000)
+
+  const [attenuated] = echo.process(chunk, 100)
+  for (let offset = 0; offset < chunk.length; offset += 2) {
+    assert.ok(Math.abs(attenuated.readInt16LE(offset) - chunk.readInt16LE(offset) * 0.5) <= 1)
+  }
+})
+
+test("lets loud, sustained speech barge in", () => {
+  const echo = gate()
+  echo.notePlayback(5000, 0)
+  const loud = [chunkOf(10000), chunkOf(10000)]
+
+  assert.deepEqual(echo.process(loud[0], 100), [])
+  assert.deepEqual(echo.process(loud[1], 150), loud)
+  const quiet = chunkOf(500)
+  assert.deepEqual(echo.process(quiet, 200), [quiet])
+  assert.equal(echo.stats.bargeIns, 1)
+})
+
+test("suppresses a short loud echo that does not last long enough", () => {
+  const echo = gate()
+  echo.notePlayback(5000, 0)
+
+  assert.deepEqual(echo.process(chunkOf(10000), 100), [])
+  const released = echo.process(chunkOf(500), 150)
+  assert.equal(released.length, 2)
+  assert.ok(released.every(isSilent))
+  assert.equal(echo.stats.bargeIns, 0)
+})
+
+test("an interruption ends playback early", () => {
+  const echo = gate()
+  echo.notePlayback(5000, 0)
+  echo.stopPlayback(30, 1000)
+  assert.equal(echo.isActive(1329), true)
+  assert.equal(echo.isActive(1331), false)
+})
+
+test("the helper keeps its own voice out of the uplink", async (t) => {
+  const mic = sineTone({ sampleRate: RATE, durationMs: 2000, amplitude: 1000 })
+  const recorder = new FakeRecorder({ file: writePcm(tempDirectory(t), "mic.pcm", mic), chunkBytes: 1600, interval: 5 })
+  const server = new FakeLiveServer([[
+    { send: messages.setupComplete() },
+    { waitFor: "audio", count: 5 },
+    { send: messages.audio(sineTone({ sampleRate: 24000, durationMs: 1000 })) },
+  ]])
+  const helper = createHelper({ server, recorder, speaker: new FakeSpeaker() })
+
+  const mirror = await connect(helper, { inputSampleRate: RATE, echoMode: "mute", echoTailMs: 100 })
+  await send(helper, "START_CONTINUOUS_RECORDING")
+  await waitUntil(() => mirror.echoGate?.stats.suppressed >= 5)
+
+  const sent = server.lastSession.received.audio.map(input => Buffer.from(input.media.data, "base64"))
+  assert.ok(!isSilent(sent[0]))
+  assert.ok(isSilent(sent.at(-1)))
+  await destroyHelper(helper)
+})
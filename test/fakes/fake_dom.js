@@ -0,0 +1,133 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// Just enough of the browser DOM for the module's getDom() and markdown renderer.
+// innerHTML is stored but never parsed, rawHtml() finds every element it was
+// set on, so a test can tell markup from text
+class FakeNode {
+  constructor() {
+    this.childNodes = []
+    this.parentNode = null
+  }
+
+  appendChild(child) {
+    if (child instanceof FakeFragment) {
+      child.childNodes.splice(0).forEach(node => this.appendChild(node))
+      return child
+    }
+    child.parentNode = this
+    this.childNodes.push(child)
+    return child
+  }
+
+  get children() {
+    return this.childNodes.filter(node => node instanceof FakeElement)
+  }
+
+  get textContent() {
+    return this.childNodes.map(node => node.textContent).join("")
+  }
+
+  set textContent(text) {
+    this.childNodes = []
+    if (text !== "") {
+      this.appendChild(new FakeText(text))
+    }
+  }
+
+  // Every element below this node, depth first
+  descendants() {
+    return this.children.flatMap(child => [child, ...child.descendants()])
+  }
+
+  // Simple selectors only: a tag name and/or classes, e.g. "p", ".response" or "div.response"
+  querySelectorAll(selector) {
+    const [tag, ...classes] = selector.split(".")
+    return this.descendants().filter(element => (!tag || element.tagName === tag.toUpperCase())
+      && classes.every(name => element.className.split(" ").includes(name)))
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null
+  }
+}
+
+class FakeText extends FakeNode {
+  constructor(text) {
+    super()
+    this.data = String(text)
+  }
+
+  get textContent() {
+    return this.data
+  }
+}
+
+class FakeFragment extends FakeNode {}
+
+class FakeElement extends FakeNode {
+  constructor(tagName) {
+    super()
+    this.tagName = tagName.toUpperCase()
+    this.className = ""
+    this.style = { setProperty(name, value) { this[name] = value } }
+    this.classList = { add: (...names) => { this.className = [this.className, ...names].filter(Boolean).join(" ") } }
+    this.html = null
+  }
+
+  get innerHTML() {
+    return this.html ?? ""
+  }
+
+  set innerHTML(html) {
+    this.childNodes = []
+    this.html = String(html)
+  }
+}
+
+class FakeDocument {
+  constructor() {
+    this.elements = new Map() // id -> element, see mount
+  }
+
+  createElement(tagName) {
+    return new FakeElement(tagName)
+  }
+
+  createTextNode(text) {
+    return new FakeText(text)
+  }
+
+  createDocumentFragment() {
+    return new FakeFragment()
+  }
+
+  getElementById(id) {
+    return this.elements.get(id) || null
+  }
+
+  // Put an element on the "page" under the given id, the way MagicMirror wraps each module
+  mount(id, element) {
+    this.elements.set(id, element)
+  }
+}
+
+// Elements below root whose markup was set with innerHTML
+function rawHtml(root) {
+  return root.descendants().filter(element => element.html !== null)
+}
+
+module.exports = { FakeDocument, FakeElement, rawHtml }
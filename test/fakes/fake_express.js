@@ -0,0 +1,74 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const { Readable } = require("stream")
+
+// Stands in for MagicMirror's express app. Routes are only recorded, request()
+// calls one the way express would and resolves with { status, body }
+class FakeExpressApp {
+  constructor() {
+    this.routes = []
+  }
+
+  get(path, handler) {
+    this.routes.push({ method: "GET", path, handler })
+  }
+
+  post(path, handler) {
+    this.routes.push({ method: "POST", path, handler })
+  }
+
+  // body is sent as JSON unless it is already a string. Route parameters
+  // (":id") are not supported, none of the API routes use them
+  request(method, url, { token, body, headers = {} } = {}) {
+    const [path, search = ""] = url.split("?")
+    const route = this.routes.find(candidate => candidate.method === method && candidate.path === path)
+    if (!route) {
+      return Promise.resolve({ status: 404, body: undefined })
+    }
+
+    const raw = body === undefined ? "" : typeof body === "string" ? body : JSON.stringify(body)
+    const req = Readable.from(raw ? [Buffer.from(raw)] : [])
+    req.method = method
+    req.url = url
+    req.query = Object.fromEntries(new URLSearchParams(search))
+    req.headers = { ...headers }
+    if (token) {
+      req.headers.authorization = `Bearer ${token}`
+    }
+
+    return new Promise((resolve) => {
+      const res = {
+        statusCode: 200,
+        status(code) {
+          this.statusCode = code
+          return this
+        },
+        json(payload) {
+          resolve({ status: this.statusCode, body: payload })
+          return this
+        },
+        sendStatus(code) {
+          resolve({ status: code, body: undefined })
+          return this
+        },
+      }
+      route.handler(req, res)
+    })
+  }
+}
+
+module.exports = { FakeExpressApp }
@@ -0,0 +1,162 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const { EventEmitter } = require("events")
+
+// In-process stand-in for the Gemini Live API. Each live.connect() plays the next
+// script, a list of steps:
+//   { send: message }         deliver a server message (see `messages` below)
+//   { waitFor: kind, count }  wait until the client has sent count "audio", "audioStreamEnd", "toolResponse" or "clientContent" messages
+//   { delay: ms }             pause
+//   { close: { code, reason } } close the connection from the server side
+//   { reject: "message" }     make connect() itself fail (first step only)
+// When the scripts run out, connections get setupComplete and then stay open.
+class FakeLiveServer {
+  constructor(scripts = []) {
+    this.scripts = [...scripts]
+    this.connections = [] // { params, session } per connect() call
+    this.generatedImages = [] // Returned by models.generateImages, as base64 PNG strings
+    this.imageRequests = []
+    this.contentResponses = [] // Returned by models.generateContent, one per call
+    this.contentRequests = []
+  }
+
+  // The object handed to the helper in place of a GoogleGenAI instance
+  client() {
+    return {
+      live: { connect: params => this.connect(params) },
+      models: {
+        generateImages: async (request) => {
+          this.imageRequests.push(request)
+          return { generatedImages: this.generatedImages.map(imageBytes => ({ image: { imageBytes: imageBytes, mimeType: "image/png" } })) }
+        },
+        generateContent: async (request) => {
+          this.contentRequests.push(request)
+          return this.contentResponses.shift() || {}
+        },
+      },
+    }
+  }
+
+  get lastSession() {
+    return this.connections.at(-1)?.session
+  }
+
+  async connect(params) {
+    const script = this.scripts.shift() || [{ send: messages.setupComplete() }]
+    const session = new FakeLiveSession(params.callbacks)
+    this.connections.push({ params, session })
+
+    if (script[0]?.reject) {
+      throw new Error(script[0].reject)
+    }
+
+    params.callbacks.onopen?.()
+    setImmediate(() => {
+      session.play(script).catch(error => session.emit("error", error))
+    })
+    return session
+  }
+}
+
+class FakeLiveSession extends EventEmitter {
+  constructor(callbacks) {
+    super()
+    this.callbacks = callbacks
+    this.received = { audio: [], audioStreamEnd: [], toolResponse: [], clientContent: [] }
+    this.closed = false
+  }
+
+  // Everything the client streamed, decoded
+  get audio() {
+    return Buffer.concat(this.received.audio.map(input => Buffer.from(input.media.data, "base64")))
+  }
+
+  async play(script) {
+    for (const step of script) {
+      if (this.closed) { return }
+      if (step.send) {
+        this.callbacks.onmessage(step.send)
+      } else if (step.waitFor) {
+        await this.waitFor(step.waitFor, step.count || 1)
+      } else if (step.delay) {
+        await new Promise(resolve => setTimeout(resolve, step.delay))
+      } else if (step.close) {
+        this.finish(step.close)
+      }
+    }
+  }
+
+  waitFor(kind, count) {
+    return new Promise((resolve) => {
+      const check = () => {
+        if (this.closed || this.received[kind].length >= count) {
+          this.off("received", check)
+          resolve()
+        }
+      }
+      this.on("received", check)
+      check()
+    })
+  }
+
+  record(kind, payload) {
+    if (this.closed) {
+      throw new Error("WebSocket is already in CLOSING or CLOSED state")
+    }
+    this.received[kind].push(payload)
+    this.emit("received", kind, payload)
+  }
+
+  sendRealtimeInput(input) {
+    this.record(input.audioStreamEnd ? "audioStreamEnd" : "audio", input)
+  }
+
+  sendToolResponse(response) {
+    this.record("toolResponse", response)
+  }
+
+  sendClientContent(content) {
+    this.record("clientContent", content)
+  }
+
+  close() {
+    this.finish({ code: 1000, reason: "" })
+  }
+
+  finish({ code = 1000, reason = "" }) {
+    if (this.closed) { return }
+    this.closed = true
+    this.emit("received")
+    setImmediate(() => this.callbacks.onclose?.({ code: code, reason: reason, wasClean: code === 1000 }))
+  }
+}
+
+// Builders for the server messages the helper understands
+const messages = {
+  setupComplete: () => ({ setupComplete: {} }),
+  audio: pcm => ({ serverContent: { modelTurn: { parts: [{ inlineData: { mimeType: "audio/pcm;rate=24000", data: pcm.toString("base64") } }] } } }),
+  text: text => ({ serverContent: { modelTurn: { parts: [{ text: text }] } } }),
+  inputTranscript: text => ({ serverContent: { inputTranscription: { text: text } } }),
+  outputTranscript: text => ({ serverContent: { outputTranscription: { text: text } } }),
+  toolCall: (name, args = {}, id = `${name}-call`) => ({ toolCall: { functionCalls: [{ id: id, name: name, args: args }] } }),
+  interrupted: () => ({ serverContent: { interrupted: true } }),
+  turnComplete: () => ({ serverContent: { turnComplete: true } }),
+  goAway: (timeLeft = "5s") => ({ goAway: { timeLeft: timeLeft } }),
+  resumption: handle => ({ sessionResumptionUpdate: { newHandle: handle, resumable: true } }),
+}
+
+module.exports = { FakeLiveServer, FakeLiveSession, messages }
@@ -0,0 +1,92 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const fs = require("fs")
+const { EventEmitter } = require("events")
+const { PassThrough } = require("stream")
+
+// Plays a raw PCM file as if it came from the microphone. record() mirrors the
+// parts of node-record-lpcm16 the helper uses: stream(), process and stop().
+// After the file runs out the stream stays open, like a silent mic, unless
+// endOnEof is set.
+class FakeRecorder {
+  constructor({ file, chunkBytes = 3200, interval = 2, endOnEof = false } = {}) {
+    this.file = file
+    this.chunkBytes = chunkBytes
+    this.interval = interval
+    this.endOnEof = endOnEof
+    this.recordings = []
+    this.record = this.record.bind(this)
+  }
+
+  get current() {
+    return this.recordings.at(-1)
+  }
+
+  record(options) {
+    const data = this.file ? fs.readFileSync(this.file) : Buffer.alloc(0)
+    const recording = new FakeRecording(data, options, this)
+    this.recordings.push(recording)
+    return recording
+  }
+}
+
+class FakeRecording {
+  constructor(data, options, { chunkBytes, interval, endOnEof }) {
+    this.options = options
+    this.audio = new PassThrough()
+    this.stopped = false
+    this.process = new EventEmitter()
+    this.process.kill = (signal) => {
+      this.halt()
+      setImmediate(() => this.process.emit("exit", null, signal))
+    }
+
+    let offset = 0
+    this.timer = setInterval(() => {
+      if (offset >= data.length) {
+        clearInterval(this.timer)
+        if (endOnEof) { this.audio.end() }
+        return
+      }
+      this.audio.write(data.subarray(offset, offset + chunkBytes))
+      offset += chunkBytes
+    }, interval)
+  }
+
+  stream() {
+    return this.audio
+  }
+
+  stop() {
+    this.halt()
+  }
+
+  // Simulate the recording program dying on its own
+  crash(code = 1) {
+    this.halt()
+    this.process.emit("exit", code, null)
+  }
+
+  halt() {
+    if (this.stopped) { return }
+    this.stopped = true
+    clearInterval(this.timer)
+    this.audio.end()
+  }
+}
+
+module.exports = { FakeRecorder, FakeRecording }
@@ -0,0 +1,62 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const fs = require("fs")
+const { Writable } = require("stream")
+
+// Stands in for the speaker package. Everything the helper plays is collected in
+// memory and, when a file is given, appended to it as raw PCM.
+class FakeSpeaker {
+  constructor({ file } = {}) {
+    this.file = file
+    this.chunks = []
+    this.instances = []
+    this.createSpeaker = this.createSpeaker.bind(this)
+  }
+
+  get played() {
+    return Buffer.concat(this.chunks)
+  }
+
+  createSpeaker(options) {
+    const speaker = new FakeSpeakerStream(options, this)
+    this.instances.push(speaker)
+    return speaker
+  }
+}
+
+class FakeSpeakerStream extends Writable {
+  constructor(options, owner) {
+    super()
+    this.options = options
+    this.owner = owner
+    this.opened = false
+  }
+
+  _write(chunk, encoding, callback) {
+    if (!this.opened) {
+      this.opened = true
+      this.emit("open")
+    }
+    this.owner.chunks.push(Buffer.from(chunk))
+    if (this.owner.file) {
+      fs.appendFileSync(this.owner.file, chunk)
+    }
+    setImmediate(callback)
+  }
+}
+
+module.exports = { FakeSpeaker }
@@ -0,0 +1,37 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const fs = require("fs")
+const path = require("path")
+
+// 16-bit little-endian mono PCM of a sine tone
+function sineTone({ sampleRate = 16000, frequency = 440, durationMs = 200, amplitude = 8000 } = {}) {
+  const samples = Math.round(sampleRate * durationMs / 1000)
+  const buffer = Buffer.alloc(samples * 2)
+  for (let i = 0; i < samples; i++) {
+    buffer.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate)), i * 2)
+  }
+  return buffer
+}
+
+// Write PCM to a file in directory and return its path
+function writePcm(directory, name, pcm) {
+  const file = path.join(directory, name)
+  fs.writeFileSync(file, pcm)
+  return file
+}
+
+module.exports = { sineTone, writePcm }
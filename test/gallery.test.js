@@ -0,0 +1,46 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const { Buffer } = require("buffer")
+const ImageGallery = require("../utils/gallery")
+const { tempDirectory } = require("./support/helper")
+
+const PNG = Buffer.from("png").toString("base64")
+
+test("finds the image whose prompt shares the most words", (t) => {
+  const gallery = new ImageGallery({ directory: tempDirectory(t) })
+  const dragon = gallery.save(PNG, { prompt: "A red dragon over the castle" })
+  const castle = gallery.save(PNG, { prompt: "A castle at night" })
+
+  assert.equal(gallery.find("the dragon picture").id, dragon.id)
+  assert.equal(gallery.find("castle at night").id, castle.id)
+  assert.equal(gallery.find("a submarine"), null)
+  assert.equal(gallery.find(""), null)
+})
+
+test("matches words outside ASCII", (t) => {
+  const gallery = new ImageGallery({ directory: tempDirectory(t) })
+  const dessert = gallery.save(PNG, { prompt: "Crème brûlée on a plate" })
+  const cat = gallery.save(PNG, { prompt: "Кот в шляпе" })
+  const mountain = gallery.save(PNG, { prompt: "富士山の夕焼け" })
+  gallery.save(PNG, { prompt: "A plate of pasta" })
+
+  assert.equal(gallery.find("show me the brûlée").id, dessert.id)
+  assert.equal(gallery.find("покажи кота в шляпе").id, cat.id)
+  assert.equal(gallery.find("富士山").id, mountain.id)
+})
@@ -0,0 +1,172 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const fs = require("fs")
+const path = require("path")
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const { FakeLiveServer, messages } = require("./fakes/fake_live_server")
+const { FakeRecorder } = require("./fakes/fake_recorder")
+const { FakeSpeaker } = require("./fakes/fake_speaker")
+const { FakeExpressApp } = require("./fakes/fake_express")
+const { sineTone, writePcm } = require("./fakes/pcm")
+const { TEST_IDENTIFIER, createHelper, connect, send, waitForNotification, waitUntil, tempDirectory, destroyHelper } = require("./support/helper")
+
+const TOKEN = "test-token"
+const API = "/MMM-Gemini/api"
+
+function createApiHelper(options = {}) {
+  const app = new FakeExpressApp()
+  const helper = createHelper({ speaker: new FakeSpeaker(), apiToken: TOKEN, ...options, expressApp: app })
+  return { app, helper }
+}
+
+test("refuses requests without a matching token", async () => {
+  const { app, helper } = createApiHelper({ server: new FakeLiveServer() })
+
+  assert.equal((await app.request("GET", `${API}/state`)).status, 401)
+  assert.equal((await app.request("GET", `${API}/state`, { token: TOKEN })).status, 503)
+
+  await connect(helper)
+  assert.equal((await app.request("GET", `${API}/state`)).status, 401)
+  assert.equal((await app.request("GET", `${API}/state`, { token: "wrong" })).status, 401)
+  assert.equal((await app.request("GET", `${API}/state`, { headers: { authorization: TOKEN } })).status, 401)
+  assert.equal((await app.request("GET", `${API}/state?instance=nobody`, { token: "wrong" })).status, 401)
+  assert.equal((await app.request("GET", `${API}/state?instance=nobody`, { token: TOKEN })).status, 404)
+  assert.equal((await app.request("GET", `${API}/state`, { token: TOKEN })).status, 200)
+  await destroyHelper(helper)
+})
+
+test("stays disabled without a token", async () => {
+  const { app, helper } = createApiHelper({ server: new FakeLiveServer(), apiToken: null })
+
+  await connect(helper)
+  assert.equal((await app.request("GET", `${API}/state`, { token: TOKEN })).status, 403)
+  await destroyHelper(helper)
+})
+
+test("takes the token from the environment, never from the module config", async (t) => {
+  const tokenFile = path.join(tempDirectory(t), "token.txt")
+  fs.writeFileSync(tokenFile, "file-token")
+  process.env.MMM_GEMINI_API_TOKEN = "env-token"
+  t.after(() => { delete process.env.MMM_GEMINI_API_TOKEN })
+  const { app, helper } = createApiHelper({ server: new FakeLiveServer(), apiToken: null })
+
+  await connect(helper, { apiToken: TOKEN, apiTokenFile: tokenFile })
+  assert.equal((await app.request("GET", `${API}/state`, { token: TOKEN })).status, 401)
+  assert.equal((await app.request("GET", `${API}/state`, { token: "file-token" })).status, 401)
+  assert.equal((await app.request("GET", `${API}/state`, { token: "env-token" })).status, 200)
+  await destroyHelper(helper)
+})
+
+test("reports the connection state and the last error", async () => {
+  const server = new FakeLiveServer([[{ reject: "quota exceeded" }]])
+  const { app, helper } = createApiHelper({ server })
+
+  const mirror = await connect(helper, { reconnectBaseDelay: 5000 })
+  const failed = await app.request("GET", `${API}/state`, { token: TOKEN })
+  assert.equal(failed.body.connection, "reconnecting")
+  assert.equal(failed.body.reconnect.attempt, 1)
+  assert.match(failed.body.lastError.message, /quota exceeded/)
+
+  assert.equal((await app.request("POST", `${API}/reconnect`, { token: TOKEN })).status, 202)
+  await waitUntil(() => mirror.sessionEstablished)
+  const open = await app.request("GET", `${API}/state`, { token: TOKEN })
+  assert.equal(open.body.connection, "open")
+  assert.equal(open.body.reconnect, null)
+  assert.equal(open.body.recording, false)
+  assert.equal(open.body.playing, false)
+  await destroyHelper(helper)
+})
+
+test("sends a typed prompt and returns it from the transcript", async () => {
+  const server = new FakeLiveServer([[
+    { send: messages.setupComplete() },
+    { waitFor: "clientContent" },
+    { send: messages.outputTranscript("Bring an umbrella.") },
+    { send: messages.turnComplete() },
+  ]])
+  const { app, helper } = createApiHelper({ server })
+
+  const mirror = await connect(helper, { transcriptLogEnabled: true })
+  await waitUntil(() => mirror.sessionEstablished)
+  assert.equal((await app.request("POST", `${API}/text`, { token: TOKEN, body: {} })).status, 400)
+  assert.equal((await app.request("POST", `${API}/text`, { token: TOKEN, body: "{not json" })).status, 400)
+
+  const sent = await app.request("POST", `${API}/text`, { token: TOKEN, body: { text: "Will it rain?" } })
+  assert.equal(sent.status, 202)
+  await waitForNotification(helper, "GEMINI_TURN_COMPLETE", { sinceIndex: 0 })
+  assert.deepEqual(server.lastSession.received.clientContent[0].turns, [{ role: "user", parts: [{ text: "Will it rain?" }] }])
+
+  const transcript = await app.request("GET", `${API}/transcript?limit=5`, { token: TOKEN })
+  assert.equal(transcript.status, 200)
+  assert.equal(transcript.body.turns.at(-1).user, "Will it rain?")
+  assert.equal(transcript.body.turns.at(-1).model, "Bring an umbrella.")
+  await destroyHelper(helper)
+})
+
+test("answers 409 and 404 when the mirror cannot do what was asked", async () => {
+  const { app, helper } = createApiHelper({ server: new FakeLiveServer([[{ reject: "offline" }]]) })
+
+  await connect(helper, { reconnectBaseDelay: 5000 })
+  assert.equal((await app.request("POST", `${API}/text`, { token: TOKEN, body: { text: "Hello?" } })).status, 409)
+  assert.equal((await app.request("GET", `${API}/transcript`, { token: TOKEN })).status, 404)
+  await destroyHelper(helper)
+})
+
+test("generates an image and lists it", async () => {
+  const server = new FakeLiveServer()
+  server.generatedImages = [Buffer.from("png").toString("base64")]
+  const { app, helper } = createApiHelper({ server })
+
+  const mirror = await connect(helper, { imageNegativePrompt: "text, watermarks" })
+  await waitUntil(() => mirror.sessionEstablished)
+  const drawn = await app.request("POST", `${API}/image`, { token: TOKEN, body: { prompt: "a lighthouse at dusk", aspect_ratio: "16:9" } })
+  assert.equal(drawn.status, 200)
+  assert.equal(drawn.body.status, "displayed")
+  assert.equal(server.imageRequests[0].config.aspectRatio, "16:9")
+  assert.match(server.imageRequests[0].prompt, /\. Avoid: text, watermarks$/)
+  assert.equal(server.imageRequests[0].config.negativePrompt, undefined)
+
+  const listed = await app.request("GET", `${API}/images?limit=1`, { token: TOKEN })
+  assert.equal(listed.body.images.length, 1)
+  assert.equal(listed.body.images[0].prompt, "a lighthouse at dusk")
+  assert.match(listed.body.images[0].url, /^\/MMM-Gemini\/gallery\//)
+  await destroyHelper(helper)
+})
+
+test("muting drops microphone audio until unmuted", async (t) => {
+  const pcm = sineTone({ sampleRate: 16000, durationMs: 1000 })
+  const recorder = new FakeRecorder({ file: writePcm(tempDirectory(t), "mic.pcm", pcm), chunkBytes: 320 })
+  const server = new FakeLiveServer()
+  const { app, helper } = createApiHelper({ server, recorder })
+
+  const mirror = await connect(helper, { inputSampleRate: 16000 })
+  await waitUntil(() => mirror.sessionEstablished)
+  assert.deepEqual((await app.request("POST", `${API}/mute`, { token: TOKEN })).body, { micMuted: true })
+  assert.deepEqual(await waitForNotification(helper, "MIC_MUTED", { sinceIndex: 0 }), { muted: true, identifier: TEST_IDENTIFIER })
+
+  await send(helper, "START_CONTINUOUS_RECORDING")
+  await waitUntil(() => recorder.current?.stopped === false)
+  await new Promise(resolve => setTimeout(resolve, 30))
+  assert.equal(server.lastSession.audio.length, 0)
+  assert.equal((await app.request("GET", `${API}/state`, { token: TOKEN })).body.listening, false)
+
+  await app.request("POST", `${API}/unmute`, { token: TOKEN })
+  await waitUntil(() => server.lastSession.audio.length > 0)
+  assert.equal((await app.request("GET", `${API}/state`, { token: TOKEN })).body.micMuted, false)
+  await destroyHelper(helper)
+})
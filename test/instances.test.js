@@ -0,0 +1,96 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const { FakeLiveServer, messages } = require("./fakes/fake_live_server")
+const { FakeRecorder } = require("./fakes/fake_recorder")
+const { FakeSpeaker } = require("./fakes/fake_speaker")
+const { sineTone, writePcm } = require("./fakes/pcm")
+const { createHelper, connect, send, waitForNotification, waitUntil, tempDirectory, destroyHelper } = require("./support/helper")
+
+const ASSISTANT = "module_2_MMM-Gemini"
+const DISPLAY = "module_5_MMM-Gemini"
+
+test("keeps a separate session for each module instance", async () => {
+  const server = new FakeLiveServer([
+    [{ send: messages.setupComplete() }],
+    [{ send: messages.setupComplete() }, { waitFor: "clientContent" }, { send: messages.outputTranscript("Here you go.") }, { send: messages.turnComplete() }],
+  ])
+  const helper = createHelper({ server, speaker: new FakeSpeaker() })
+
+  const assistant = await connect(helper, { model: "assistant-model" }, ASSISTANT)
+  const display = await connect(helper, { model: "display-model", responseModality: "text" }, DISPLAY)
+  await waitUntil(() => assistant.sessionEstablished && display.sessionEstablished)
+
+  assert.notEqual(assistant, display)
+  assert.equal(server.connections.length, 2)
+  assert.deepEqual(server.connections.map(connection => connection.params.model), ["assistant-model", "display-model"])
+  const ready = helper.sentNotifications.filter(sent => sent.notification === "HELPER_READY").map(sent => sent.payload.identifier)
+  assert.deepEqual(ready.sort(), [ASSISTANT, DISPLAY])
+
+  await send(helper, "SEND_TEXT", { text: "Show me today's picture" }, DISPLAY)
+  const done = await waitForNotification(helper, "GEMINI_TURN_COMPLETE", { sinceIndex: 0 })
+  assert.equal(done.identifier, DISPLAY)
+  assert.equal(server.connections[0].session.received.clientContent.length, 0)
+  assert.equal(server.connections[1].session.received.clientContent.length, 1)
+  await destroyHelper(helper)
+})
+
+test("shares one recorder between the instances", async (t) => {
+  const recorder = new FakeRecorder({ file: writePcm(tempDirectory(t), "mic.pcm", sineTone({ durationMs: 1000 })), chunkBytes: 320 })
+  const server = new FakeLiveServer()
+  const helper = createHelper({ server, recorder })
+
+  const assistant = await connect(helper, { inputSampleRate: 16000 }, ASSISTANT)
+  const display = await connect(helper, { inputSampleRate: 44100 }, DISPLAY)
+  await waitUntil(() => assistant.sessionEstablished && display.sessionEstablished)
+  await send(helper, "START_CONTINUOUS_RECORDING", {}, ASSISTANT)
+  await send(helper, "START_CONTINUOUS_RECORDING", {}, DISPLAY)
+
+  assert.equal(recorder.recordings.length, 1)
+  assert.equal(recorder.current.options.sampleRate, 16000)
+  const [first, second] = server.connections.map(connection => connection.session)
+  await waitUntil(() => first.audio.length > 0 && second.audio.length > 0)
+
+  // Leaving keeps the mic running for the other instance
+  assistant.stopRecording()
+  assert.equal(recorder.current.stopped, false)
+  const received = second.audio.length
+  await waitUntil(() => second.audio.length > received)
+
+  display.stopRecording()
+  assert.equal(recorder.current.stopped, true)
+  assert.equal(helper.microphone.running, false)
+  await destroyHelper(helper)
+})
+
+test("only creates instances for starting frontends, up to a limit", async () => {
+  const helper = createHelper({ server: new FakeLiveServer() })
+
+  await send(helper, "SEND_TEXT", { text: "Hello?" }, "module_9_MMM-Gemini")
+  await send(helper, "CLEAR_HISTORY", {}, "made-up")
+  assert.equal(helper.instances.size, 0)
+
+  await send(helper, "REGISTER_TOOL", { declaration: { name: "get_weather" }, owner: "weather" }, ASSISTANT)
+  assert.equal(helper.instances.has(ASSISTANT), true)
+
+  for (let index = 0; index < 20; index++) {
+    await send(helper, "REGISTER_TOOL", { declaration: { name: "flood" }, owner: "flood" }, `flood_${index}`)
+  }
+  assert.equal(helper.instances.size, 16)
+  await destroyHelper(helper)
+})
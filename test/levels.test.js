@@ -0,0 +1,75 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const { LevelMeter, levelFromRms } = require("../utils/level_meter")
+const { FakeLiveServer, messages } = require("./fakes/fake_live_server")
+const { FakeRecorder } = require("./fakes/fake_recorder")
+const { FakeSpeaker } = require("./fakes/fake_speaker")
+const { sineTone, writePcm } = require("./fakes/pcm")
+const { createHelper, connect, send, waitForNotification, waitUntil, tempDirectory, destroyHelper } = require("./support/helper")
+
+test("levels run from -60 dBFS to full scale", () => {
+  assert.equal(levelFromRms(0), 0)
+  assert.equal(levelFromRms(32.767), 0)
+  assert.ok(Math.abs(levelFromRms(3276.7) - 2 / 3) < 1e-9) // -20 dBFS
+  assert.equal(levelFromRms(32767), 1)
+})
+
+test("reports the loudest chunk since the last report and holds speech briefly", () => {
+  let now = 0
+  const meter = new LevelMeter({ speechHangoverMs: 500, now: () => now })
+
+  meter.noteMic(sineTone({ amplitude: 100 }))
+  meter.noteMic(sineTone({ amplitude: 8000 }), true)
+  meter.noteMic(sineTone({ amplitude: 100 }))
+  assert.deepEqual(meter.report(false), { mic: 0.75, playback: 0, userSpeaking: true, playing: false })
+
+  now = 400
+  meter.notePlayback(sineTone({ amplitude: 8000 }))
+  assert.deepEqual(meter.report(true), { mic: 0, playback: 0.75, userSpeaking: true, playing: true })
+
+  now = 500
+  assert.equal(meter.report(false).userSpeaking, false)
+})
+
+test("sends mic levels while recording and playback levels while the mirror talks", async (t) => {
+  const recorder = new FakeRecorder({ file: writePcm(tempDirectory(t), "mic.pcm", sineTone({ durationMs: 2000 })), chunkBytes: 640, interval: 20 })
+  const answer = sineTone({ sampleRate: 24000, durationMs: 200 })
+  const server = new FakeLiveServer([[
+    { send: messages.setupComplete() },
+    { waitFor: "audio", count: 5 },
+    { send: messages.audio(answer) },
+    { send: messages.turnComplete() },
+  ]])
+  const speaker = new FakeSpeaker()
+  const helper = createHelper({ server, recorder, speaker })
+
+  const mirror = await connect(helper, { inputSampleRate: 16000, audioLevelInterval: 50 })
+  await send(helper, "START_CONTINUOUS_RECORDING")
+
+  const heard = await waitForNotification(helper, "AUDIO_LEVELS", { sinceIndex: 0, match: levels => levels.userSpeaking })
+  assert.equal(heard.mic, 0.75)
+  const played = await waitForNotification(helper, "AUDIO_LEVELS", { sinceIndex: 0, match: levels => levels.playback > 0 })
+  assert.equal(played.playback, 0.75)
+
+  mirror.stopRecording()
+  await waitUntil(() => mirror.levelTimer === null)
+  const last = helper.sentNotifications.filter(sent => sent.notification === "AUDIO_LEVELS").at(-1).payload
+  assert.equal(last.playing, false)
+  await destroyHelper(helper)
+})
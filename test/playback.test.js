@@ -0,0 +1,106 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const path = require("path")
+const { once } = require("events")
+const { ProcessPlayer, WavFileWriter, createPlayer } = require("../utils/playback")
+const { FakeLiveServer, messages } = require("./fakes/fake_live_server")
+const { sineTone } = require("./fakes/pcm")
+const { createHelper, connect, waitForNotification, waitUntil, tempDirectory, destroyHelper } = require("./support/helper")
+
+const FORMAT = { sampleRate: 24000, channels: 1, bitDepth: 16 }
+
+test("WavFileWriter writes a valid WAV header once the stream ends", async (t) => {
+  const file = path.join(tempDirectory(t), "nested", "response.wav")
+  const pcm = sineTone({ sampleRate: 24000, durationMs: 100 })
+  const writer = new WavFileWriter(file, FORMAT)
+
+  writer.write(pcm.subarray(0, 1000))
+  writer.end(pcm.subarray(1000))
+  await once(writer, "close")
+
+  const wav = fs.readFileSync(file)
+  assert.equal(wav.toString("ascii", 0, 4), "RIFF")
+  assert.equal(wav.readUInt32LE(4), 36 + pcm.length)
+  assert.equal(wav.toString("ascii", 8, 12), "WAVE")
+  assert.equal(wav.readUInt16LE(22), 1)
+  assert.equal(wav.readUInt32LE(24), 24000)
+  assert.equal(wav.readUInt32LE(28), 48000)
+  assert.equal(wav.readUInt16LE(34), 16)
+  assert.equal(wav.readUInt32LE(40), pcm.length)
+  assert.ok(wav.subarray(44).equals(pcm))
+})
+
+test("ProcessPlayer pipes audio into the player and closes after it exits", async (t) => {
+  const output = path.join(tempDirectory(t), "played.pcm")
+  const player = new ProcessPlayer(process.execPath, ["-e", "process.stdin.pipe(require('fs').createWriteStream(process.argv[1]))", output])
+  const pcm = sineTone({ sampleRate: 24000, durationMs: 50 })
+
+  const opened = once(player, "open")
+  player.end(pcm)
+  await opened
+  await once(player, "close")
+
+  assert.ok(fs.readFileSync(output).equals(pcm))
+})
+
+test("ProcessPlayer completes writes in real time when given a byte rate", async () => {
+  const player = new ProcessPlayer(process.execPath, ["-e", "process.stdin.resume()"], { bytesPerSecond: 48000 })
+  const started = Date.now()
+
+  // 300ms of audio, the player may run 100ms ahead
+  await new Promise(resolve => player.write(Buffer.alloc(14400), resolve))
+  assert.ok(Date.now() - started >= 180)
+
+  player.end()
+  await once(player, "close")
+})
+
+test("ProcessPlayer reports a player that fails", async () => {
+  const player = new ProcessPlayer(process.execPath, ["-e", "process.stdin.resume(); process.stdin.on('end', () => process.exit(3))"])
+  player.end(Buffer.alloc(100))
+
+  const [error] = await once(player, "error")
+  assert.match(error.message, /exited with code 3/)
+})
+
+test("createPlayer rejects unknown backends", () => {
+  assert.throws(() => createPlayer({ backend: "tape", ...FORMAT }), /Unknown playback backend 'tape'/)
+})
+
+test("the file backend saves each response as a WAV file", async () => {
+  const audio = sineTone({ sampleRate: 24000, durationMs: 100 })
+  const server = new FakeLiveServer([[
+    { send: messages.setupComplete() },
+    { send: messages.audio(audio) },
+    { send: messages.turnComplete() },
+  ]])
+  const helper = createHelper({ server })
+
+  const mirror = await connect(helper, { playbackBackend: "file" })
+  await waitForNotification(helper, "GEMINI_TURN_COMPLETE")
+
+  const directory = path.join(helper.path, "data", "responses")
+  await waitUntil(() => !mirror.processingQueue && fs.existsSync(directory) && fs.readdirSync(directory).length === 1)
+  await waitUntil(() => fs.statSync(path.join(directory, fs.readdirSync(directory)[0])).size === 44 + audio.length)
+  const [name] = fs.readdirSync(directory)
+  assert.match(name, /^response-.*\.wav$/)
+  assert.ok(fs.readFileSync(path.join(directory, name)).subarray(44).equals(audio))
+  await destroyHelper(helper)
+})
@@ -0,0 +1,193 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const recorders = require("node-record-lpcm16/recorders")
+const { FakeLiveServer } = require("./fakes/fake_live_server")
+const { FakeRecorder } = require("./fakes/fake_recorder")
+const { sineTone, writePcm } = require("./fakes/pcm")
+const { TEST_IDENTIFIER, createHelper, connect, send, waitForNotification, waitUntil, tempDirectory, destroyHelper } = require("./support/helper")
+
+test("streams 16 kHz microphone audio to Gemini unchanged", async (t) => {
+  const pcm = sineTone({ sampleRate: 16000, durationMs: 200 })
+  const recorder = new FakeRecorder({ file: writePcm(tempDirectory(t), "mic.pcm", pcm), chunkBytes: 1600 })
+  const server = new FakeLiveServer()
+  const helper = createHelper({ server, recorder })
+
+  await connect(helper, { inputSampleRate: 16000, inputChannels: 1 })
+  await send(helper, "START_CONTINUOUS_RECORDING")
+  await waitForNotification(helper, "RECORDING_STARTED", { sinceIndex: 0 })
+
+  const session = server.lastSession
+  await waitUntil(() => session.audio.length === pcm.length)
+  assert.ok(session.audio.equals(pcm))
+  assert.equal(session.received.audio[0].media.mimeType, "audio/pcm;rate=16000")
+  assert.equal(recorder.current.options.sampleRate, 16000)
+  await destroyHelper(helper)
+})
+
+test("converts 44.1 kHz stereo to 16 kHz mono before sending", async (t) => {
+  const mono = sineTone({ sampleRate: 44100, durationMs: 200 })
+  const stereo = Buffer.alloc(mono.length * 2)
+  for (let i = 0; i < mono.length; i += 2) {
+    mono.copy(stereo, i * 2, i, i + 2)
+    mono.copy(stereo, i * 2 + 2, i, i + 2)
+  }
+  const recorder = new FakeRecorder({ file: writePcm(tempDirectory(t), "mic.pcm", stereo) })
+  const server = new FakeLiveServer()
+  const helper = createHelper({ server, recorder })
+
+  await connect(helper, { inputSampleRate: 44100, inputChannels: 2 })
+  await send(helper, "START_CONTINUOUS_RECORDING")
+
+  const session = server.lastSession
+  const expectedBytes = 16000 * 0.2 * 2
+  await waitUntil(() => session.audio.length >= expectedBytes - 4)
+  assert.ok(Math.abs(session.audio.length - expectedBytes) <= 4)
+  assert.equal(recorder.current.options.channels, 2)
+  await destroyHelper(helper)
+})
+
+test("only sends audio while push to talk is held", async (t) => {
+  const recorder = new FakeRecorder({ file: writePcm(tempDirectory(t), "mic.pcm", sineTone({ durationMs: 1000 })), chunkBytes: 320 })
+  const server = new FakeLiveServer()
+  const helper = createHelper({ server, recorder })
+
+  await connect(helper, { inputSampleRate: 16000, listenMode: "pushToTalk" })
+  await send(helper, "START_CONTINUOUS_RECORDING")
+  assert.deepEqual(await waitForNotification(helper, "LISTENING_IDLE", { sinceIndex: 0 }), { mode: "pushToTalk", identifier: TEST_IDENTIFIER })
+
+  const session = server.lastSession
+  await new Promise(resolve => setTimeout(resolve, 20))
+  assert.equal(session.received.audio.length, 0)
+
+  await send(helper, "PUSH_TO_TALK", { pressed: true })
+  await waitForNotification(helper, "LISTENING_ARMED", { sinceIndex: 0 })
+  await waitUntil(() => session.received.audio.length > 0)
+  assert.equal(session.received.audioStreamEnd.length, 0)
+
+  const released = helper.sentNotifications.length
+  await send(helper, "PUSH_TO_TALK", { pressed: false })
+  await waitForNotification(helper, "LISTENING_IDLE", { sinceIndex: released })
+  const sentWhileHeld = session.received.audio.length
+  await new Promise(resolve => setTimeout(resolve, 20))
+  assert.equal(session.received.audio.length, sentWhileHeld)
+  assert.deepEqual(session.received.audioStreamEnd, [{ audioStreamEnd: true }])
+  await destroyHelper(helper)
+})
+
+test("ends the audio stream when the VAD hangover runs out", async (t) => {
+  const speech = Buffer.concat([sineTone({ durationMs: 300 }), Buffer.alloc(16000 * 2)])
+  const recorder = new FakeRecorder({ file: writePcm(tempDirectory(t), "mic.pcm", speech), chunkBytes: 640 })
+  const server = new FakeLiveServer()
+  const helper = createHelper({ server, recorder })
+
+  await connect(helper, { inputSampleRate: 16000, vadEnabled: true, vadHangoverMs: 200 })
+  await send(helper, "START_CONTINUOUS_RECORDING")
+
+  const session = server.lastSession
+  await waitUntil(() => session.received.audioStreamEnd.length === 1)
+  const sentBeforeEnd = session.received.audio.length
+  await new Promise(resolve => setTimeout(resolve, 50))
+  assert.equal(session.received.audio.length, sentBeforeEnd)
+  assert.equal(session.received.audioStreamEnd.length, 1)
+  await destroyHelper(helper)
+})
+
+// The command line node-record-lpcm16 would run for the options the helper passed
+function recorderCommand(options) {
+  const { cmd, args } = recorders.load(options.recorder)({ ...options })
+  return [cmd, ...args.map(String)]
+}
+
+test("records with the configured program and device", async () => {
+  const recorder = new FakeRecorder()
+  const helper = createHelper({ server: new FakeLiveServer(), recorder })
+
+  await connect(helper, { recordingProgram: "arecord", recordingDevice: "plughw:1,0", inputSampleRate: 44100 })
+  await send(helper, "START_CONTINUOUS_RECORDING")
+
+  assert.deepEqual(recorderCommand(recorder.current.options), ["arecord", "-D", "plughw:1,0", "-q", "-r", "44100", "-c", "1", "-t", "raw", "-f", "S16_LE", "-"])
+  await destroyHelper(helper)
+})
+
+test("records from the default device with sox", async () => {
+  const recorder = new FakeRecorder()
+  const helper = createHelper({ server: new FakeLiveServer(), recorder })
+
+  await connect(helper, { inputSampleRate: 16000 })
+  await send(helper, "START_CONTINUOUS_RECORDING")
+
+  const command = recorderCommand(recorder.current.options)
+  assert.deepEqual(command.slice(0, 2), ["sox", "--default-device"])
+  assert.deepEqual(command.slice(command.indexOf("--rate"), command.indexOf("--rate") + 4), ["--rate", "16000", "--channels", "1"])
+  await destroyHelper(helper)
+})
+
+test("passes the device to sox through AUDIODEV", async () => {
+  const recorder = new FakeRecorder()
+  const helper = createHelper({ server: new FakeLiveServer(), recorder })
+
+  await connect(helper, { recordingProgram: "sox", recordingDevice: "plughw:1,0" })
+  await send(helper, "START_CONTINUOUS_RECORDING")
+
+  const { cmd, spawnOptions } = recorders.load(recorder.current.options.recorder)({ ...recorder.current.options })
+  assert.equal(cmd, "sox")
+  assert.equal(spawnOptions.env.AUDIODEV, "plughw:1,0")
+  await destroyHelper(helper)
+})
+
+test("falls back to sox for an unknown recording program", async () => {
+  const recorder = new FakeRecorder()
+  const helper = createHelper({ server: new FakeLiveServer(), recorder })
+
+  await connect(helper, { recordingProgram: "ffmpeg" })
+  await send(helper, "START_CONTINUOUS_RECORDING")
+
+  assert.equal(recorder.current.options.recorder, "sox")
+  await destroyHelper(helper)
+})
+
+test("reports a recorder that stops on its own", async (t) => {
+  const recorder = new FakeRecorder({ file: writePcm(tempDirectory(t), "mic.pcm", sineTone()) })
+  const server = new FakeLiveServer()
+  const helper = createHelper({ server, recorder })
+
+  const mirror = await connect(helper, { inputSampleRate: 16000 })
+  await send(helper, "START_CONTINUOUS_RECORDING")
+  recorder.current.crash(1)
+
+  const error = await waitForNotification(helper, "HELPER_ERROR", { sinceIndex: 0 })
+  assert.match(error.error, /stopped unexpectedly \(code: 1/)
+  await waitForNotification(helper, "RECORDING_STOPPED", { sinceIndex: 0 })
+  assert.equal(mirror.isRecording, false)
+  assert.equal(mirror.microphone.running, false)
+  await destroyHelper(helper)
+})
+
+test("refuses to record without an open connection", async () => {
+  const recorder = new FakeRecorder()
+  const helper = createHelper({ server: new FakeLiveServer([[{ reject: "offline" }]]), recorder })
+
+  await connect(helper)
+  await send(helper, "START_CONTINUOUS_RECORDING")
+
+  const errors = helper.sentNotifications.filter(sent => sent.notification === "HELPER_ERROR")
+  assert.match(errors.at(-1).payload.error, /Cannot record/)
+  assert.equal(recorder.recordings.length, 0)
+  await destroyHelper(helper)
+})
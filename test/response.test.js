@@ -0,0 +1,126 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const { rawHtml } = require("./fakes/fake_dom")
+const { createFrontend, receive } = require("./support/frontend")
+
+// The answer as the module renders it, inside a div
+function render(module, text) {
+  const container = module.document.createElement("div")
+  container.appendChild(module.renderMarkdown(text))
+  return container
+}
+
+function tags(container) {
+  return container.descendants().map(element => element.tagName)
+}
+
+// Connected and listening, the way the helper brings the module up. Tests that
+// use it mock setTimeout, the module starts timers on the way
+function listening(module) {
+  receive(module, "HELPER_READY")
+  receive(module, "RECORDING_STARTED")
+  assert.equal(module.currentState, "LISTENING")
+}
+
+test("renders bold, italics, lists and line breaks", () => {
+  const module = createFrontend()
+  const container = render(module, "It is **sunny** and *warm*.\nTake:\n- a hat\n- water\n\n1. Leave\n2. Enjoy")
+
+  assert.deepEqual(tags(container), ["P", "STRONG", "EM", "BR", "UL", "LI", "LI", "OL", "LI", "LI"])
+  assert.equal(container.querySelector("strong").textContent, "sunny")
+  assert.deepEqual(container.querySelectorAll("li").map(item => item.textContent), ["a hat", "water", "Leave", "Enjoy"])
+})
+
+test("markup in an answer is shown as text", () => {
+  const module = createFrontend()
+  const answer = "<img src=x onerror=alert(1)> <script>alert(2)</script> **<b>bold</b>**"
+  const container = render(module, answer)
+
+  assert.deepEqual(tags(container), ["P", "STRONG"])
+  assert.deepEqual(rawHtml(container), [])
+  assert.equal(container.textContent, "<img src=x onerror=alert(1)> <script>alert(2)</script> <b>bold</b>")
+})
+
+test("links and code are not part of the subset and stay as written", () => {
+  const module = createFrontend()
+  const answer = "See [the forecast](javascript:alert(1)) or https://example.com\nRun `rm -rf /`\n```js\nalert(3)\n```"
+  const container = render(module, answer)
+
+  assert.deepEqual(tags(container), ["P", "BR", "BR", "BR", "BR"])
+  assert.equal(container.querySelector("p").childNodes.filter(node => node.tagName !== "BR").map(node => node.textContent).join("\n"), answer)
+})
+
+test("caps the answer at responseMaxLines lines", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] })
+  const module = createFrontend({ responseMaxLines: 3 })
+  listening(module)
+  receive(module, "GEMINI_TEXT_RESPONSE", { text: "one\ntwo\nthree\nfour\nfive" })
+
+  const response = module.getDom().querySelector(".response")
+  assert.match(response.style.maxHeight, /em$/)
+  assert.ok(Math.abs(parseFloat(response.style.maxHeight) - 3.3) < 1e-9) // 1.1em line height
+  assert.equal(response.querySelectorAll("br").length, 4)
+  assert.deepEqual(rawHtml(response), [])
+})
+
+test("fades the answer out once the mirror rests", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] })
+  const module = createFrontend({ responseDisplayTime: 1000, responseFadeTime: 200 })
+  listening(module)
+  receive(module, "GEMINI_TEXT_RESPONSE", { text: "Bring an umbrella." })
+  assert.equal(module.currentState, "SPEAKING")
+
+  t.mock.timers.tick(5000)
+  assert.equal(module.lastResponseText, "Bring an umbrella.") // Not while it is being given
+
+  receive(module, "GEMINI_TURN_COMPLETE")
+  t.mock.timers.tick(999)
+  assert.equal(module.lastResponseText, "Bring an umbrella.")
+  t.mock.timers.tick(1)
+  t.mock.timers.tick(200)
+  assert.equal(module.lastResponseText, "")
+})
+
+test("errors stay while the mirror is down and clear once it is back", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] })
+  const module = createFrontend({ errorDisplayTime: 1000 })
+  listening(module)
+
+  receive(module, "HELPER_ERROR", { error: "Recording stream ended unexpectedly" })
+  assert.equal(module.currentState, "ERROR")
+  t.mock.timers.tick(5000)
+  assert.equal(module.errorText, "Error: Recording stream ended unexpectedly")
+  assert.equal(module.getDom().querySelector(".error-message").textContent, "Error: Recording stream ended unexpectedly")
+
+  receive(module, "HELPER_READY")
+  assert.equal(module.currentState, "READY")
+  t.mock.timers.tick(1000)
+  assert.equal(module.errorText, "")
+})
+
+test("an error during the conversation clears after errorDisplayTime", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] })
+  const module = createFrontend({ errorDisplayTime: 1000 })
+  listening(module)
+
+  receive(module, "HELPER_ERROR", { error: "Image generation failed: quota", fatal: false })
+  assert.equal(module.currentState, "LISTENING")
+  t.mock.timers.tick(1000)
+  assert.equal(module.errorText, "")
+})
@@ -0,0 +1,123 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const { FakeLiveServer, messages } = require("./fakes/fake_live_server")
+const { FakeRecorder } = require("./fakes/fake_recorder")
+const { sineTone, writePcm } = require("./fakes/pcm")
+const { parseQuietHours, isQuietTime, nextQuietChange } = require("../utils/quiet_hours")
+const { TEST_IDENTIFIER, createHelper, connect, send, waitForNotification, waitUntil, tempDirectory, destroyHelper } = require("./support/helper")
+
+function clock(date) {
+  return `${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`
+}
+
+test("quiet hours can run past midnight", () => {
+  const ranges = parseQuietHours({ start: "22:00", end: "07:00" })
+
+  assert.equal(isQuietTime(ranges, new Date(2025, 0, 1, 21, 59)), false)
+  assert.equal(isQuietTime(ranges, new Date(2025, 0, 1, 22, 0)), true)
+  assert.equal(isQuietTime(ranges, new Date(2025, 0, 2, 6, 59)), true)
+  assert.equal(isQuietTime(ranges, new Date(2025, 0, 2, 7, 0)), false)
+  assert.deepEqual(nextQuietChange(ranges, new Date(2025, 0, 1, 23, 30, 15)), new Date(2025, 0, 2, 7, 0))
+  assert.deepEqual(nextQuietChange(ranges, new Date(2025, 0, 2, 7, 0)), new Date(2025, 0, 2, 22, 0))
+  assert.throws(() => parseQuietHours([{ start: "25:00", end: "07:00" }]), /Invalid time/)
+  assert.throws(() => parseQuietHours({ start: "07:00", end: "07:00" }), /same time/)
+})
+
+test("sleeps while nobody is present and greets whoever walks up", async (t) => {
+  const recorder = new FakeRecorder({ file: writePcm(tempDirectory(t), "mic.pcm", sineTone()) })
+  const server = new FakeLiveServer()
+  const helper = createHelper({ server, recorder })
+
+  const mirror = await connect(helper, { inputSampleRate: 16000, sleepWhenAbsent: true, absenceDelay: 10, wakeGreeting: "Greet the visitor" })
+  await waitUntil(() => mirror.sessionEstablished)
+  await send(helper, "START_CONTINUOUS_RECORDING")
+
+  await send(helper, "USER_PRESENCE", { present: false })
+  assert.deepEqual(await waitForNotification(helper, "SLEEPING"), { reason: "absent", until: null, identifier: TEST_IDENTIFIER })
+  assert.equal(server.connections[0].session.closed, true)
+  assert.equal(mirror.liveSession, null)
+  assert.equal(recorder.current.stopped, true)
+  assert.equal(helper.microphone.running, false)
+
+  const walkedUp = helper.sentNotifications.length
+  await send(helper, "USER_PRESENCE", { present: true })
+  await waitForNotification(helper, "HELPER_READY", { sinceIndex: walkedUp })
+  await waitUntil(() => server.lastSession.received.clientContent.length === 1)
+  assert.equal(server.connections.length, 2)
+  assert.deepEqual(server.lastSession.received.clientContent[0], { turns: [{ role: "user", parts: [{ text: "Greet the visitor" }] }], turnComplete: true })
+  await destroyHelper(helper)
+})
+
+test("stays awake when someone returns within absenceDelay", async () => {
+  const server = new FakeLiveServer()
+  const helper = createHelper({ server })
+
+  const mirror = await connect(helper, { sleepWhenAbsent: true, absenceDelay: 30 })
+  await send(helper, "USER_PRESENCE", { present: false })
+  await send(helper, "USER_PRESENCE", { present: true })
+  await new Promise(resolve => setTimeout(resolve, 50))
+
+  assert.equal(mirror.sleeping, null)
+  assert.equal(server.connections.length, 1)
+  await destroyHelper(helper)
+})
+
+test("does not connect during quiet hours, even when someone is present", async () => {
+  const now = new Date()
+  const server = new FakeLiveServer()
+  const helper = createHelper({ server })
+
+  const mirror = await connect(helper, {
+    sleepWhenAbsent: true,
+    wakeGreeting: "Greet the visitor",
+    quietHours: { start: clock(new Date(now.getTime() - 60000)), end: clock(new Date(now.getTime() + 3600000)) },
+  })
+  const sleeping = await waitForNotification(helper, "SLEEPING", { sinceIndex: 0 })
+  assert.equal(sleeping.reason, "quiet")
+  assert.ok(new Date(sleeping.until) > now)
+
+  await send(helper, "USER_PRESENCE", { present: true })
+  await send(helper, "START_CONTINUOUS_RECORDING")
+  assert.equal(mirror.sleeping, "quiet")
+  assert.equal(server.connections.length, 0)
+  await destroyHelper(helper)
+})
+
+test("a restart cut short by sleep does not skip the backoff after waking", async () => {
+  const server = new FakeLiveServer([
+    [{ send: messages.setupComplete() }],
+    [{ send: messages.setupComplete() }, { waitFor: "clientContent" }, { close: { code: 1011, reason: "Internal error" } }],
+  ])
+  const helper = createHelper({ server })
+
+  const mirror = await connect(helper, { sleepWhenAbsent: true, reconnectBaseDelay: 5000, reconnectMaxDelay: 5000 })
+  await waitUntil(() => mirror.sessionEstablished)
+  mirror.restartSession("goAway")
+  mirror.sleep("absent")
+  await new Promise(resolve => setImmediate(resolve))
+
+  const woke = helper.sentNotifications.length
+  await send(helper, "USER_PRESENCE", { present: true })
+  await waitForNotification(helper, "HELPER_READY", { sinceIndex: woke })
+  await send(helper, "SEND_TEXT", { text: "Still there?" })
+
+  await waitForNotification(helper, "RECONNECTING", { sinceIndex: woke })
+  assert.equal(server.connections.length, 2)
+  await destroyHelper(helper)
+})
@@ -0,0 +1,137 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const { createFrontend, receive } = require("./support/frontend")
+
+// [current state, event, next state]. RESUME targets resolve with the mic armed
+// and nothing playing, see restingState
+const ALLOWED = [
+  ["INITIALIZING", "HELPER_READY", "READY"],
+  ["RECONNECTING", "HELPER_READY", "READY"],
+  ["OFFLINE", "HELPER_READY", "READY"],
+  ["ERROR", "HELPER_READY", "READY"],
+  ["SLEEPING", "INITIALIZING", "INITIALIZING"],
+  ["LISTENING", "RECONNECTING", "RECONNECTING"],
+  ["SPEAKING", "CONNECTION_OFFLINE", "OFFLINE"],
+  ["THINKING", "SLEEPING", "SLEEPING"],
+  ["READY", "API_KEY_MISSING", "NO_API_KEY"],
+  ["SPEAKING", "HELPER_ERROR", "ERROR"],
+  ["IDLE", "RECORDING_STOPPED", "ERROR"],
+  ["READY", "RECORDING_STARTED", "LISTENING"],
+  ["ERROR", "RECORDING_STARTED", "LISTENING"],
+  ["IDLE", "LISTENING_ARMED", "LISTENING"],
+  ["LISTENING", "LISTENING_IDLE", "IDLE"],
+  ["USER_SPEAKING", "LISTENING_IDLE", "IDLE"],
+  ["LISTENING", "SPEECH_STARTED", "USER_SPEAKING"],
+  ["USER_SPEAKING", "SPEECH_ENDED", "THINKING"],
+  ["IDLE", "PROMPT_SENT", "THINKING"],
+  ["THINKING", "THINKING_TIMEOUT", "LISTENING"],
+  ["THINKING", "PLAYBACK_STARTED", "SPEAKING"],
+  ["SPEAKING", "PLAYBACK_FINISHED", "LISTENING"],
+  ["THINKING", "GEMINI_TEXT_RESPONSE", "SPEAKING"],
+  ["SPEAKING", "GEMINI_TURN_COMPLETE", "LISTENING"],
+  ["SPEAKING", "GEMINI_IMAGE_GENERATING", "GENERATING_IMAGE"],
+  ["GENERATING_IMAGE", "GEMINI_IMAGE_GENERATED", "LISTENING"],
+  ["GENERATING_IMAGE", "GEMINI_IMAGE_BLOCKED", "LISTENING"],
+  ["GENERATING_IMAGE", "REQUEST_FAILED", "LISTENING"],
+  ["THINKING", "REQUEST_FAILED", "LISTENING"],
+]
+
+// [current state, event]: ignored, the state stays as it is
+const REJECTED = [
+  ["READY", "HELPER_READY"],
+  ["LISTENING", "HELPER_READY"],
+  ["LISTENING", "INITIALIZING"],
+  ["LISTENING", "LISTENING_ARMED"],
+  ["IDLE", "SPEECH_STARTED"],
+  ["LISTENING", "SPEECH_ENDED"],
+  ["SPEAKING", "PROMPT_SENT"],
+  ["LISTENING", "THINKING_TIMEOUT"],
+  ["GENERATING_IMAGE", "PLAYBACK_STARTED"],
+  ["LISTENING", "PLAYBACK_FINISHED"],
+  ["GENERATING_IMAGE", "GEMINI_TEXT_RESPONSE"],
+  ["GENERATING_IMAGE", "GEMINI_TURN_COMPLETE"],
+  ["ERROR", "GEMINI_IMAGE_GENERATING"],
+  ["SPEAKING", "GEMINI_IMAGE_GENERATED"],
+  ["ERROR", "REQUEST_FAILED"],
+  ["OFFLINE", "REQUEST_FAILED"],
+  ["SLEEPING", "REQUEST_FAILED"],
+  ["NO_API_KEY", "REQUEST_FAILED"],
+  ["LISTENING", "NO_SUCH_EVENT"],
+]
+
+function frontendIn(t, state) {
+  t.mock.timers.enable({ apis: ["setTimeout"] }) // enterState starts the thinking and fade timers
+  const module = createFrontend()
+  module.listenArmed = true
+  module.currentState = state
+  return module
+}
+
+test("moves along every allowed transition", (t) => {
+  for (const [from, event, to] of ALLOWED) {
+    const module = frontendIn(t, from)
+    assert.equal(module.transition(event), true, `${event} in ${from}`)
+    assert.equal(module.currentState, to, `${event} in ${from}`)
+    t.mock.timers.reset()
+  }
+})
+
+test("ignores events the current state does not take", (t) => {
+  for (const [from, event] of REJECTED) {
+    const module = frontendIn(t, from)
+    assert.equal(module.transition(event), false, `${event} in ${from}`)
+    assert.equal(module.currentState, from, `${event} in ${from}`)
+    t.mock.timers.reset()
+  }
+})
+
+test("RESUME goes to wherever the conversation rests", (t) => {
+  const module = frontendIn(t, "GENERATING_IMAGE")
+  module.playing = true
+  module.transition("GEMINI_IMAGE_GENERATED")
+  assert.equal(module.currentState, "SPEAKING")
+
+  module.currentState = "THINKING"
+  module.playing = false
+  module.listenArmed = false
+  module.transition("THINKING_TIMEOUT")
+  assert.equal(module.currentState, "IDLE")
+})
+
+test("a failed request keeps the conversation and its answer, a fatal error ends both", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] })
+  const module = createFrontend()
+  receive(module, "HELPER_READY")
+  receive(module, "RECORDING_STARTED")
+  receive(module, "GEMINI_TEXT_RESPONSE", { text: "Here is your dragon." })
+  receive(module, "GEMINI_IMAGE_GENERATING")
+  assert.equal(module.currentState, "GENERATING_IMAGE")
+
+  receive(module, "HELPER_ERROR", { error: "Image generation failed: quota", fatal: false })
+  assert.equal(module.currentState, "LISTENING")
+  assert.equal(module.errorText, "Error: Image generation failed: quota")
+  assert.equal(module.lastResponseText, "Here is your dragon.")
+
+  receive(module, "HELPER_ERROR", { error: "Recording stream ended unexpectedly" })
+  assert.equal(module.currentState, "ERROR")
+  assert.equal(module.lastResponseText, "")
+
+  receive(module, "HELPER_ERROR", { error: "Cannot send text: API connection not open", fatal: false })
+  assert.equal(module.currentState, "ERROR")
+})
@@ -0,0 +1,70 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const fs = require("fs")
+const path = require("path")
+const vm = require("vm")
+const { FakeDocument } = require("../fakes/fake_dom")
+const { TEST_IDENTIFIER } = require("./helper")
+
+const FRONTEND = path.join(__dirname, "..", "..", "MMM-Gemini.js")
+const source = fs.readFileSync(FRONTEND, "utf8")
+
+// The module frontend as MagicMirror would create it: MMM-Gemini.js run with a
+// fake document and Log, the defaults merged with config and start() called.
+// Socket notifications it sends are kept in sent, updateDom() only counts. The
+// timer functions are looked up on every call, so t.mock.timers applies to them
+function createFrontend(config = {}, identifier = TEST_IDENTIFIER) {
+  const document = new FakeDocument()
+  let definition = null
+  const quiet = () => {}
+  const context = vm.createContext({
+    Module: { register: (name, moduleDefinition) => { definition = moduleDefinition } },
+    Log: { info: quiet, log: quiet, warn: quiet, error: quiet },
+    MM: { getModules: () => [] },
+    document: document,
+    setTimeout: (...args) => setTimeout(...args),
+    clearTimeout: timer => clearTimeout(timer),
+    setInterval: (...args) => setInterval(...args),
+    clearInterval: timer => clearInterval(timer),
+  })
+  vm.runInContext(source, context, { filename: FRONTEND })
+
+  const module = Object.create(definition)
+  Object.assign(module, {
+    name: "MMM-Gemini",
+    identifier: identifier,
+    config: { ...definition.defaults, ...config },
+    document: document,
+    sent: [],
+    domUpdates: 0,
+    sendSocketNotification(notification, payload) {
+      this.sent.push({ notification, payload })
+    },
+    updateDom() {
+      this.domUpdates++
+    },
+  })
+  module.start()
+  return module
+}
+
+// A socket notification from the helper to this instance
+function receive(module, notification, payload = {}) {
+  module.socketNotificationReceived(notification, { ...payload, identifier: module.identifier })
+}
+
+module.exports = { createFrontend, receive }
@@ -0,0 +1,146 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const Module = require("module")
+
+// Resolve require("node_helper") to the stand-in, MagicMirror is not installed here
+const nodeHelperShim = path.join(__dirname, "node_helper.js")
+const resolveFilename = Module._resolveFilename
+Module._resolveFilename = function (request, ...rest) {
+  if (request === "node_helper") { return nodeHelperShim }
+  return resolveFilename.call(this, request, ...rest)
+}
+
+const Helper = require("../../node_helper")
+
+// The helper prefers the environment over the key and token files, secrets of the
+// developer's own must not end up in the tests
+delete process.env.GEMINI_API_KEY
+delete process.env.GEMINI_API_KEY_FILE
+delete process.env.MMM_GEMINI_API_TOKEN
+delete process.env.MMM_GEMINI_API_TOKEN_FILE
+const TEST_API_KEY = "AIza-test-key-0042"
+
+// Identifier of the module instance the helpers below talk for, as MagicMirror names them
+const TEST_IDENTIFIER = "module_0_MMM-Gemini"
+
+const BASE_CONFIG = {
+  model: "test-live-model",
+  reconnectBaseDelay: 10,
+  reconnectMaxDelay: 20,
+}
+
+// A started helper wired to the given fakes, with its data/ folder in a temp
+// directory. devices is what the startup device listing finds, expressApp gets
+// the helper's routes, apiKey is written to its key file (null for none) and
+// apiToken to its HTTP API token file.
+// Set MMM_GEMINI_TEST_LOGS=1 to see the helper's own logging
+function createHelper({ server, recorder, speaker, devices = [], directory, expressApp, apiKey = TEST_API_KEY, apiToken } = {}) {
+  const helper = new Helper()
+  helper.setName("MMM-Gemini")
+  helper.setPath(directory || fs.mkdtempSync(path.join(os.tmpdir(), "mmm-gemini-test-")))
+  if (apiKey) { fs.writeFileSync(path.join(helper.path, "api_key.txt"), apiKey) }
+  if (apiToken) { fs.writeFileSync(path.join(helper.path, "api_token.txt"), apiToken) }
+  const adapters = { listDevices: async () => devices }
+  if (server) { adapters.createClient = () => server.client() }
+  if (recorder) { adapters.record = recorder.record }
+  if (speaker) { adapters.createSpeaker = speaker.createSpeaker }
+  helper.setAdapters(adapters)
+  if (expressApp) { helper.setExpressApp(expressApp) }
+  if (!process.env.MMM_GEMINI_TEST_LOGS) {
+    helper.log = helper.warn = helper.error = () => {}
+  }
+  helper.start()
+  return helper
+}
+
+// Send START_CONNECTION the way the frontend does. Resolves with the helper's
+// state for that module instance
+async function connect(helper, config = {}, identifier = TEST_IDENTIFIER) {
+  await send(helper, "START_CONNECTION", { ...BASE_CONFIG, ...config }, identifier)
+  return helper.instances.get(identifier)
+}
+
+// A socket notification from the frontend of the given module instance
+function send(helper, notification, payload = {}, identifier = TEST_IDENTIFIER) {
+  return helper.socketNotificationReceived(notification, { ...payload, identifier: identifier })
+}
+
+// Resolves with the payload of the next matching notification, or of one already sent
+// when sinceIndex is given (an index into helper.sentNotifications)
+function waitForNotification(helper, notification, { sinceIndex, match = () => true, timeout = 2000 } = {}) {
+  if (sinceIndex !== undefined) {
+    const earlier = helper.sentNotifications.slice(sinceIndex)
+      .find(sent => sent.notification === notification && match(sent.payload))
+    if (earlier) { return Promise.resolve(earlier.payload) }
+  }
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      helper.socket.off(notification, listener)
+      reject(new Error(`Timed out waiting for ${notification}`))
+    }, timeout)
+    const listener = (payload) => {
+      if (!match(payload)) { return }
+      clearTimeout(timer)
+      helper.socket.off(notification, listener)
+      resolve(payload)
+    }
+    helper.socket.on(notification, listener)
+  })
+}
+
+// Poll until condition() is true
+async function waitUntil(condition, { timeout = 2000, interval = 5 } = {}) {
+  const deadline = Date.now() + timeout
+  while (!condition()) {
+    if (Date.now() > deadline) { throw new Error("Timed out waiting for condition") }
+    await new Promise(resolve => setTimeout(resolve, interval))
+  }
+}
+
+function notificationNames(helper) {
+  return helper.sentNotifications.map(sent => sent.notification)
+}
+
+// Temp directory removed when the test t ends
+function tempDirectory(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "mmm-gemini-test-"))
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }))
+  return directory
+}
+
+// Stop the helper and remove its temp directory
+async function destroyHelper(helper) {
+  helper.stop()
+  await new Promise(resolve => setImmediate(resolve))
+  fs.rmSync(helper.path, { recursive: true, force: true })
+}
+
+module.exports = {
+  TEST_IDENTIFIER,
+  TEST_API_KEY,
+  createHelper,
+  connect,
+  send,
+  waitForNotification,
+  waitUntil,
+  notificationNames,
+  tempDirectory,
+  destroyHelper,
+}
@@ -0,0 +1,65 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const { EventEmitter } = require("events")
+
+// Stand-in for MagicMirror's node_helper module. Like the real one, create()
+// returns a class, but socket notifications are recorded instead of sent
+class NodeHelper {
+  constructor() {
+    this.sentNotifications = []
+    this.socket = new EventEmitter()
+  }
+
+  setName(name) {
+    this.name = name
+  }
+
+  setPath(path) {
+    this.path = path
+  }
+
+  setExpressApp(app) {
+    this.expressApp = app
+  }
+
+  sendSocketNotification(notification, payload) {
+    this.sentNotifications.push({ notification, payload })
+    this.socket.emit(notification, payload)
+  }
+}
+
+NodeHelper.create = function (definition) {
+  return class extends NodeHelper {
+    constructor() {
+      super()
+      // Own copies of arrays, maps and plain objects, so one test cannot leak state into the next
+      for (const [key, value] of Object.entries(definition)) {
+        if (Array.isArray(value)) {
+          this[key] = [...value]
+        } else if (value instanceof Map) {
+          this[key] = new Map(value)
+        } else if (value && Object.getPrototypeOf(value) === Object.prototype) {
+          this[key] = { ...value }
+        } else {
+          this[key] = value
+        }
+      }
+    }
+  }
+}
+
+module.exports = NodeHelper
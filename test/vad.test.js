@@ -0,0 +1,95 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const { test } = require("node:test")
+const assert = require("node:assert/strict")
+const { VoiceActivityDetector, computeZeroCrossingRate } = require("../utils/vad")
+const { sineTone } = require("./fakes/pcm")
+
+const RATE = 16000
+const CHUNK_MS = 100
+
+const silence = () => Buffer.alloc(RATE * CHUNK_MS / 1000 * 2)
+const voice = (amplitude = 8000) => sineTone({ sampleRate: RATE, durationMs: CHUNK_MS, amplitude })
+
+// A loud chunk that never crosses zero, like DC offset
+function offset(value = 5000) {
+  const buffer = silence()
+  for (let i = 0; i < buffer.length; i += 2) { buffer.writeInt16LE(value, i) }
+  return buffer
+}
+
+// A loud chunk that crosses zero on every sample, like hiss or clicks
+function hiss(amplitude = 5000) {
+  const buffer = silence()
+  for (let i = 0; i < buffer.length; i += 2) { buffer.writeInt16LE(i % 4 ? -amplitude : amplitude, i) }
+  return buffer
+}
+
+test("sensitivity sets the RMS threshold", () => {
+  assert.equal(new VoiceActivityDetector({ sensitivity: 0, sampleRate: RATE }).threshold, 2000)
+  assert.equal(new VoiceActivityDetector({ sensitivity: 0.5, sampleRate: RATE }).threshold, 1100)
+  assert.equal(new VoiceActivityDetector({ sensitivity: 1, sampleRate: RATE }).threshold, 200)
+  assert.equal(new VoiceActivityDetector({ sensitivity: 7, sampleRate: RATE }).threshold, 200)
+
+  // A tone with an RMS of about 1414
+  const tone = voice(2000)
+  assert.equal(new VoiceActivityDetector({ sensitivity: 0.5, sampleRate: RATE }).isVoiced(tone), true)
+  assert.equal(new VoiceActivityDetector({ sensitivity: 0, sampleRate: RATE }).isVoiced(tone), false)
+})
+
+test("loud chunks without speech-like zero crossings are not voice", () => {
+  const vad = new VoiceActivityDetector({ sampleRate: RATE })
+
+  assert.ok(Math.abs(computeZeroCrossingRate(voice()) - 2 * 440 / RATE) < 0.005)
+  assert.equal(computeZeroCrossingRate(offset()), 0)
+  assert.equal(computeZeroCrossingRate(hiss()), 1)
+  assert.equal(vad.isVoiced(silence()), false)
+  assert.equal(vad.isVoiced(offset()), false)
+  assert.equal(vad.isVoiced(hiss()), false)
+  assert.equal(vad.isVoiced(voice()), true)
+})
+
+test("speech starts with the pre-roll in front of it", () => {
+  const vad = new VoiceActivityDetector({ sampleRate: RATE, preRollMs: 300 })
+  const quiet = [silence(), silence(), silence(), silence(), silence()]
+  quiet.forEach((chunk, index) => quiet[index].writeInt16LE(index, 0)) // Tell them apart
+
+  for (const chunk of quiet) {
+    assert.deepEqual(vad.process(chunk), [])
+  }
+  const spoken = voice()
+  assert.deepEqual(vad.process(spoken), [...quiet.slice(2), spoken])
+  assert.equal(vad.active, true)
+  assert.deepEqual(vad.stats, { total: 6, sent: 4, suppressed: 2, onsets: 1, offsets: 0 })
+})
+
+test("speech ends once the hangover has passed without voice", () => {
+  const vad = new VoiceActivityDetector({ sampleRate: RATE, preRollMs: 0, hangoverMs: 200 })
+
+  assert.equal(vad.process(voice()).length, 1)
+  assert.equal(vad.process(silence()).length, 1) // 100 ms
+  assert.equal(vad.process(voice()).length, 1) // Voice again, the hangover starts over
+  assert.equal(vad.process(silence()).length, 1) // 100 ms
+  assert.equal(vad.process(silence()).length, 1) // 200 ms
+  assert.equal(vad.active, true)
+  assert.equal(vad.stats.offsets, 0)
+
+  assert.equal(vad.process(silence()).length, 1) // 300 ms, the end of the sentence is still sent
+  assert.equal(vad.active, false)
+  assert.equal(vad.stats.offsets, 1)
+  assert.deepEqual(vad.process(silence()), [])
+})
@@ -0,0 +1,49 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// The helper's links to the outside world: the Gemini client, the microphone,
+// the speaker and the device list. Each is required on first use, so the helper
+// can be loaded with fakes (see test/fakes) on a machine without a sound card.
+const defaultAdapters = {
+  // Returns a client with the GoogleGenAI interface (live.connect, models.*)
+  createClient(options) {
+    const { GoogleGenAI } = require("@google/genai")
+    return new GoogleGenAI(options)
+  },
+
+  // Returns a recording with the node-record-lpcm16 interface (stream(), process, stop())
+  record(options) {
+    return require("node-record-lpcm16").record(options)
+  },
+
+  // Returns a writable stream of raw PCM, like the speaker package. options.backend
+  // picks speaker, aplay, paplay or a WAV file (see playback.js)
+  createSpeaker(options) {
+    return require("./playback").createPlayer(options)
+  },
+
+  // Resolves to the capture and playback devices found on the system
+  listDevices() {
+    return require("./devices").listAudioDevices()
+  },
+}
+
+// Fill in any adapter that was not overridden with the real one
+function createAdapters(overrides = {}) {
+  return { ...defaultAdapters, ...overrides }
+}
+
+module.exports = { defaultAdapters, createAdapters }
@@ -0,0 +1,112 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const fs = require("fs")
+const path = require("path")
+
+// Secrets are read by the helper, never taken from the module config: MagicMirror
+// hands that config to every browser that loads the mirror page, and any client
+// of its socket can send one. The same goes for the paths of the secret files,
+// which only the environment can move
+const API_KEY_ENV = "GEMINI_API_KEY"
+const API_KEY_FILE_ENV = "GEMINI_API_KEY_FILE"
+const DEFAULT_API_KEY_FILE = "api_key.txt" // Relative to the module directory
+const API_TOKEN_ENV = "MMM_GEMINI_API_TOKEN"
+const API_TOKEN_FILE_ENV = "MMM_GEMINI_API_TOKEN_FILE"
+const DEFAULT_API_TOKEN_FILE = "api_token.txt"
+
+const knownKeys = new Set() // Every secret loaded so far, masked wherever they show up
+
+// The environment variable wins over the file, which is fileVariable or else
+// defaultFile, relative to directory. Returns { key, source, file }, with key
+// null when neither has one. label names the secret in warnings
+function loadSecret({ variable, fileVariable, defaultFile, label, directory, env = process.env, warn = console.warn }) {
+  const file = path.resolve(directory, env[fileVariable] || defaultFile)
+  const fromEnv = env[variable]?.trim()
+  if (fromEnv) {
+    knownKeys.add(fromEnv)
+    return { key: fromEnv, source: `the ${variable} environment variable`, file: file }
+  }
+  try {
+    const fromFile = fs.readFileSync(file, "utf8").trim()
+    if (fromFile) {
+      knownKeys.add(fromFile)
+      return { key: fromFile, source: file, file: file }
+    }
+    warn(`${label} file ${file} is empty`)
+  } catch (readError) {
+    if (readError.code !== "ENOENT") {
+      warn(`Cannot read ${label} file ${file}: ${readError.message}`)
+    }
+  }
+  return { key: null, source: null, file: file }
+}
+
+// The Gemini API key
+function loadApiKey(options) {
+  return loadSecret({ variable: API_KEY_ENV, fileVariable: API_KEY_FILE_ENV, defaultFile: DEFAULT_API_KEY_FILE, label: "API key", ...options })
+}
+
+// The bearer token of the HTTP API
+function loadApiToken(options) {
+  return loadSecret({ variable: API_TOKEN_ENV, fileVariable: API_TOKEN_FILE_ENV, defaultFile: DEFAULT_API_TOKEN_FILE, label: "API token", ...options })
+}
+
+// Enough of the key to tell two keys apart in a log, not enough to use it
+function maskKey(key) {
+  return key.length > 12 ? `${key.slice(0, 4)}...${key.slice(-4)}` : "***"
+}
+
+function maskText(text) {
+  let masked = text
+  for (const key of knownKeys) {
+    masked = masked.replaceAll(key, maskKey(key))
+  }
+  return masked
+}
+
+// Log arguments and error messages with every known key masked. Errors and
+// objects that contain a key are turned into masked text
+function redact(value) {
+  if (knownKeys.size === 0) { return value }
+  if (typeof value === "string") { return maskText(value) }
+  if (value instanceof Error) {
+    const text = value.stack || `${value.name}: ${value.message}`
+    return maskText(text) === text ? value : maskText(text)
+  }
+  if (value && typeof value === "object") {
+    try {
+      const json = JSON.stringify(value)
+      if (json && maskText(json) !== json) { return maskText(json) }
+    } catch {
+      // Circular objects are logged as they are
+    }
+  }
+  return value
+}
+
+module.exports = {
+  API_KEY_ENV,
+  API_KEY_FILE_ENV,
+  API_TOKEN_ENV,
+  API_TOKEN_FILE_ENV,
+  DEFAULT_API_KEY_FILE,
+  DEFAULT_API_TOKEN_FILE,
+  loadApiKey,
+  loadApiToken,
+  maskKey,
+  redact,
+}
@@ -0,0 +1,108 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+// Root mean square of a buffer of signed 16-bit little-endian PCM samples
+function computeRms(buffer) {
+  const sampleCount = Math.floor(buffer.length / 2)
+  if (sampleCount === 0) { return 0 }
+
+  let sumSquares = 0
+  for (let i = 0; i < sampleCount; i++) {
+    const sample = buffer.readInt16LE(i * 2)
+    sumSquares += sample * sample
+  }
+  return Math.sqrt(sumSquares / sampleCount)
+}
+
+// Scale signed 16-bit PCM, ramping linearly from startGain to endGain across the
+// buffer so volume changes and fade-outs do not click. Returns a new buffer
+function applyGain(buffer, startGain, endGain = startGain) {
+  const sampleCount = Math.floor(buffer.length / 2)
+  const output = Buffer.alloc(sampleCount * 2)
+  for (let i = 0; i < sampleCount; i++) {
+    const gain = sampleCount > 1 ? startGain + (endGain - startGain) * i / (sampleCount - 1) : endGain
+    output.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(buffer.readInt16LE(i * 2) * gain))), i * 2)
+  }
+  return output
+}
+
+// Streaming converter from captured PCM (any rate, any channel count) to mono at
+// outputRate. Channels are averaged and the result is resampled with linear
+// interpolation. State is kept between chunks, so partial frames and the
+// interpolation position carry over without clicks at chunk boundaries.
+// There is no low-pass filter before downsampling: anything above half the output
+// rate (8 kHz at 16 kHz) folds back into the audible range instead of being
+// removed. Speech sits well below that and Gemini copes with the rest, but a
+// microphone with a lot of high-frequency noise is better captured at 16000.
+class PcmConverter {
+  constructor({ inputRate, inputChannels = 1, outputRate }) {
+    this.inputRate = inputRate
+    this.inputChannels = inputChannels
+    this.outputRate = outputRate
+    this.step = inputRate / outputRate
+    this.remainder = Buffer.alloc(0)
+    this.lastSample = 0
+    this.position = 1 // Index into the current mono frame array, 0 is the last frame of the previous chunk
+  }
+
+  get isPassthrough() {
+    return this.inputRate === this.outputRate && this.inputChannels === 1
+  }
+
+  process(chunk) {
+    if (this.isPassthrough) { return chunk }
+
+    const frameBytes = this.inputChannels * 2
+    const data = this.remainder.length ? Buffer.concat([this.remainder, chunk]) : chunk
+    const usableBytes = data.length - (data.length % frameBytes)
+    this.remainder = Buffer.from(data.subarray(usableBytes))
+
+    const frameCount = usableBytes / frameBytes
+    if (frameCount === 0) { return Buffer.alloc(0) }
+
+    // Downmix, with the previous chunk's last frame in front for interpolation
+    const mono = new Float32Array(frameCount + 1)
+    mono[0] = this.lastSample
+    for (let frame = 0; frame < frameCount; frame++) {
+      let sum = 0
+      for (let channel = 0; channel < this.inputChannels; channel++) {
+        sum += data.readInt16LE(frame * frameBytes + channel * 2)
+      }
+      mono[frame + 1] = sum / this.inputChannels
+    }
+    this.lastSample = mono[frameCount]
+
+    const outputSamples = []
+    while (this.position < frameCount) {
+      const index = Math.floor(this.position)
+      const fraction = this.position - index
+      outputSamples.push(mono[index] + (mono[index + 1] - mono[index]) * fraction)
+      this.position += this.step
+    }
+    this.position -= frameCount
+
+    const output = Buffer.alloc(outputSamples.length * 2)
+    outputSamples.forEach((sample, i) => {
+      output.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(sample))), i * 2)
+    })
+    return output
+  }
+}
+
+module.exports = {
+  computeRms,
+  applyGain,
+  PcmConverter,
+}
@@ -0,0 +1,45 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const { execFile } = require("child_process")
+
+// Commands that print the capture and playback devices. Whichever are installed
+// are run at startup so the names can be copied into the config
+const DEVICE_LISTINGS = [
+  { label: "ALSA capture devices (arecord -l)", command: "arecord", args: ["-l"] },
+  { label: "ALSA playback devices (aplay -l)", command: "aplay", args: ["-l"] },
+  { label: "PulseAudio sources (pactl list short sources)", command: "pactl", args: ["list", "short", "sources"] },
+  { label: "PulseAudio sinks (pactl list short sinks)", command: "pactl", args: ["list", "short", "sinks"] },
+]
+
+function run(command, args, timeout) {
+  return new Promise((resolve) => {
+    execFile(command, args, { timeout: timeout }, (error, stdout) => {
+      resolve(error ? { error: error.code === "ENOENT" ? "not installed" : error.message.trim() } : { output: stdout.trim() })
+    })
+  })
+}
+
+// Resolves to [{ label, output }] or [{ label, error }], never rejects
+async function listAudioDevices({ timeout = 5000 } = {}) {
+  const results = []
+  for (const { label, command, args } of DEVICE_LISTINGS) {
+    results.push({ label, ...await run(command, args, timeout) })
+  }
+  return results
+}
+
+module.exports = { listAudioDevices }
@@ -0,0 +1,102 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const { computeRms, applyGain } = require("./audio")
+
+const ECHO_MODES = ["off", "mute", "attenuate"]
+
+// Half-duplex echo suppression for the mic uplink. While the mirror is talking,
+// and for tailMs afterwards while the room still rings, mic audio is replaced by
+// silence ("mute") or turned down ("attenuate") so Gemini does not hear its own
+// voice. Speech louder than bargeInThreshold for at least bargeInMs is taken to be
+// the user talking over the mirror: the held-back loud chunks are released
+// unchanged and the gate stays open until playback is over.
+// Playback time is wall clock time, chunk lengths are audio time.
+class EchoGate {
+  constructor({ mode = "mute", tailMs = 300, attenuation = 0.1, bargeInThreshold = 3000, bargeInMs = 150, sampleRate, channels = 1 }) {
+    this.mode = mode
+    this.tailMs = tailMs
+    this.attenuation = attenuation
+    this.bargeInThreshold = bargeInThreshold
+    this.bargeInMs = bargeInMs
+    this.bytesPerMs = (sampleRate * channels * 2) / 1000
+
+    this.playingUntil = -Infinity
+    this.bargedIn = false
+    this.held = []
+    this.heldMs = 0
+    this.stats = { total: 0, suppressed: 0, bargeIns: 0, peakEchoRms: 0 }
+  }
+
+  // Audio lasting durationMs was just handed to the speaker
+  notePlayback(durationMs, now = Date.now()) {
+    this.playingUntil = Math.max(now, this.playingUntil) + durationMs
+  }
+
+  // Playback was cut short, the speaker falls silent within durationMs
+  stopPlayback(durationMs = 0, now = Date.now()) {
+    this.playingUntil = Math.min(this.playingUntil, now + durationMs)
+  }
+
+  isActive(now = Date.now()) {
+    return now < this.playingUntil + this.tailMs
+  }
+
+  // Returns the chunks to send in place of chunk, like VoiceActivityDetector.process
+  process(chunk, now = Date.now()) {
+    this.stats.total++
+    if (!this.isActive(now)) {
+      this.bargedIn = false
+      return [...this.release(false), chunk]
+    }
+    if (this.bargedIn) {
+      return [chunk]
+    }
+
+    const rms = computeRms(chunk)
+    if (rms < this.bargeInThreshold) {
+      this.stats.peakEchoRms = Math.max(this.stats.peakEchoRms, rms)
+      return [...this.release(false), this.suppress(chunk)]
+    }
+
+    this.held.push(chunk)
+    this.heldMs += chunk.length / this.bytesPerMs
+    if (this.heldMs < this.bargeInMs) {
+      return []
+    }
+    this.bargedIn = true
+    this.stats.bargeIns++
+    return this.release(true)
+  }
+
+  // Hand back the held loud chunks, as they were (barge-in) or suppressed (just a loud echo)
+  release(asIs) {
+    const chunks = asIs ? this.held : this.held.map(held => this.suppress(held))
+    this.held = []
+    this.heldMs = 0
+    return chunks
+  }
+
+  suppress(chunk) {
+    this.stats.suppressed++
+    return this.mode === "attenuate" ? applyGain(chunk, this.attenuation) : Buffer.alloc(chunk.length)
+  }
+}
+
+module.exports = {
+  ECHO_MODES,
+  EchoGate,
+}
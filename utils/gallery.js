@@ -0,0 +1,135 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+const fs = require("fs")
+const path = require("path")
+const { Buffer } = require("buffer")
+const { loadJson, saveJson } = require("./state_file")
+
+const INDEX_FILE = "index.json"
+const EXTENSIONS = { "image/png": "png", "image/jpeg": "jpg", "image/webp": "webp" }
+
+// Generated images kept on disk with their prompt and creation time. The oldest
+// images are deleted once maxImages or maxBytes is exceeded.
+class ImageGallery {
+  constructor({ directory, maxImages = 50, maxBytes = 200 * 1024 * 1024, error = console.error }) {
+    this.directory = directory
+    this.maxImages = maxImages
+    this.maxBytes = maxBytes
+    this.error = error
+    this.indexPath = path.join(directory, INDEX_FILE)
+    this.entries = loadJson(this.indexPath, [])
+  }
+
+  // imageBytes is the base64 string returned by the API
+  save(imageBytes, { prompt, mimeType = "image/png", editedFrom = null }) {
+    const data = Buffer.from(imageBytes, "base64")
+    const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`
+    const entry = {
+      id: id,
+      file: `${id}.${EXTENSIONS[mimeType] || "png"}`,
+      mimeType: mimeType,
+      prompt: prompt,
+      createdAt: new Date().toISOString(),
+      bytes: data.length,
+    }
+    if (editedFrom) {
+      entry.editedFrom = editedFrom
+    }
+
+    fs.mkdirSync(this.directory, { recursive: true })
+    fs.writeFileSync(path.join(this.directory, entry.file), data)
+    this.entries.push(entry)
+    this.enforceLimits()
+    this.persist()
+    return entry
+  }
+
+  get(id) {
+    return this.entries.find(entry => entry.id === id) || null
+  }
+
+  filePath(entry) {
+    return path.join(this.directory, entry.file)
+  }
+
+  // Image data as a base64 string, as the API expects it
+  readBase64(entry) {
+    return fs.readFileSync(this.filePath(entry)).toString("base64")
+  }
+
+  latest() {
+    return this.entries[this.entries.length - 1] || null
+  }
+
+  // Newest first
+  recent(limit = 10) {
+    return this.entries.slice(-limit).reverse()
+  }
+
+  // Best match for a spoken description such as "the dragon picture": the image
+  // whose prompt shares the most words with the query, newest on a tie. Words are
+  // letters and digits in any script, so "café" and "Drache" match too
+  find(query) {
+    const words = String(query || "").toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []
+    let best = null
+    let bestScore = 0
+    for (const entry of this.entries) {
+      const prompt = entry.prompt.toLowerCase()
+      const score = words.filter(word => prompt.includes(word)).length
+      if (score > 0 && score >= bestScore) {
+        best = entry
+        bestScore = score
+      }
+    }
+    return best
+  }
+
+  remove(id) {
+    const entry = this.get(id)
+    if (!entry) { return false }
+    this.entries = this.entries.filter(other => other.id !== id)
+    this.deleteFile(entry)
+    this.persist()
+    return true
+  }
+
+  enforceLimits() {
+    let totalBytes = this.entries.reduce((sum, entry) => sum + entry.bytes, 0)
+    while (this.entries.length > 1 && (this.entries.length > this.maxImages || totalBytes > this.maxBytes)) {
+      const oldest = this.entries.shift()
+      totalBytes -= oldest.bytes
+      this.deleteFile(oldest)
+    }
+  }
+
+  deleteFile(entry) {
+    try {
+      fs.rmSync(this.filePath(entry), { force: true })
+    } catch (removeError) {
+      this.error(`Could not delete gallery image ${entry.file}:`, removeError.message)
+    }
+  }
+
+  persist() {
+    try {
+      saveJson(this.indexPath, this.entries)
+    } catch (saveError) {
+      this.error("Could not save gallery index:", saveError.message)
+    }
+  }
+}
+
+module.exports = ImageGallery
@@ -0,0 +1,92 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const crypto = require("crypto")
+const { API_TOKEN_ENV, DEFAULT_API_TOKEN_FILE } = require("./api_key")
+
+const MAX_BODY_BYTES = 64 * 1024
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.status = status
+  }
+}
+
+// Accepts "Authorization: Bearer <token>". The comparison takes the same time
+// whatever the guess, so the token cannot be found one character at a time
+function checkBearerToken(req, token) {
+  if (!token) {
+    throw new HttpError(403, `The HTTP API is disabled, set ${API_TOKEN_ENV} or put a token in ${DEFAULT_API_TOKEN_FILE}`)
+  }
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers?.authorization || "")
+  const given = crypto.createHash("sha256").update(match ? match[1].trim() : "").digest()
+  const expected = crypto.createHash("sha256").update(String(token)).digest()
+  if (!match || !crypto.timingSafeEqual(given, expected)) {
+    throw new HttpError(401, "Missing or invalid token")
+  }
+}
+
+// MagicMirror's express app does not parse JSON bodies, so read the request ourselves
+function readJsonBody(req, limit = MAX_BODY_BYTES) {
+  if (req.body && typeof req.body === "object" && !Buffer.isBuffer(req.body)) {
+    return Promise.resolve(req.body)
+  }
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    req.on("data", (chunk) => {
+      size += chunk.length
+      if (size > limit) {
+        reject(new HttpError(413, "Request body too large"))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8").trim()
+      if (!text) {
+        resolve({})
+        return
+      }
+      try {
+        const body = JSON.parse(text)
+        if (!body || typeof body !== "object" || Array.isArray(body)) {
+          throw new Error("not an object")
+        }
+        resolve(body)
+      } catch {
+        reject(new HttpError(400, "Body must be a JSON object"))
+      }
+    })
+    req.on("error", reject)
+  })
+}
+
+// ?limit= as a number between 1 and max
+function parseLimit(value, fallback, max) {
+  const limit = Number.parseInt(value, 10)
+  if (!Number.isFinite(limit) || limit < 1) { return fallback }
+  return Math.min(limit, max)
+}
+
+module.exports = {
+  HttpError,
+  checkBearerToken,
+  readJsonBody,
+  parseLimit,
+}
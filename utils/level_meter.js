@@ -0,0 +1,76 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+const { computeRms } = require("./audio")
+
+const FLOOR_DB = -60 // Quieter than this shows as 0
+const FULL_SCALE = 32767
+
+// Loudness on a 0 to 1 scale that follows the ear rather than the raw RMS:
+// -60 dBFS and below is 0, full scale is 1
+function levelFromRms(rms) {
+  if (rms <= 0) { return 0 }
+  const db = 20 * Math.log10(rms / FULL_SCALE)
+  return Math.max(0, Math.min(1, 1 - db / FLOOR_DB))
+}
+
+// Mic and playback loudness between two reports. A report has the loudest chunk
+// of each side since the previous one, so short peaks are not missed. The user
+// counts as speaking until speechHangoverMs after the last voiced chunk, which
+// keeps the indicator from flickering between words
+class LevelMeter {
+  constructor({ speechHangoverMs = 500, now = Date.now } = {}) {
+    this.speechHangoverMs = speechHangoverMs
+    this.now = now
+    this.mic = 0
+    this.playback = 0
+    this.lastSpeechAt = -Infinity
+  }
+
+  noteMic(chunk, speaking = false) {
+    this.mic = Math.max(this.mic, levelFromRms(computeRms(chunk)))
+    if (speaking) {
+      this.lastSpeechAt = this.now()
+    }
+  }
+
+  notePlayback(chunk) {
+    this.playback = Math.max(this.playback, levelFromRms(computeRms(chunk)))
+  }
+
+  // Levels since the last report, rounded for the socket. Starts the next period
+  report(playing) {
+    const levels = {
+      mic: Math.round(this.mic * 100) / 100,
+      playback: Math.round(this.playback * 100) / 100,
+      userSpeaking: this.now() - this.lastSpeechAt < this.speechHangoverMs,
+      playing: playing,
+    }
+    this.mic = 0
+    this.playback = 0
+    return levels
+  }
+
+  reset() {
+    this.mic = 0
+    this.playback = 0
+    this.lastSpeechAt = -Infinity
+  }
+}
+
+module.exports = {
+  LevelMeter,
+  levelFromRms,
+}
@@ -0,0 +1,134 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// Options that change what the recorder captures. Instances asking for other
+// values than the running recorder get its audio anyway, with a warning
+const CAPTURE_OPTIONS = ["sampleRate", "channels", "device", "recorder"]
+
+// One recorder process shared by every module instance. The first subscriber
+// starts it with its options, the last one to leave stops it. Each subscriber
+// gets the raw chunks and is told when the recording fails:
+//   { data(chunk), error(err), end(), exit(code, signal) }
+// A recorder that dies takes all subscriptions with it.
+class SharedMicrophone {
+  constructor({ record, log = console.log, warn = console.warn, error = console.error }) {
+    this.record = record
+    this.log = log
+    this.warn = warn
+    this.error = error
+    this.recording = null
+    this.options = null
+    this.subscribers = new Map()
+  }
+
+  get running() {
+    return this.recording !== null
+  }
+
+  isSubscribed(id) {
+    return this.subscribers.has(id)
+  }
+
+  // Returns the options the recorder actually runs with. Throws if it cannot start
+  subscribe(id, options, listener) {
+    if (!this.recording) {
+      this.start(options)
+    } else {
+      const differing = CAPTURE_OPTIONS.filter(key => options[key] !== this.options[key])
+      if (differing.length > 0) {
+        this.warn(`${id} shares the microphone started with other settings, ignoring its ${differing.join(", ")}`)
+      }
+    }
+    this.subscribers.set(id, listener)
+    this.log(`Microphone: ${id} subscribed, ${this.subscribers.size} listener(s)`)
+    return this.options
+  }
+
+  unsubscribe(id) {
+    if (!this.subscribers.delete(id)) { return }
+    this.log(`Microphone: ${id} unsubscribed, ${this.subscribers.size} listener(s)`)
+    if (this.subscribers.size === 0) {
+      this.stop()
+    }
+  }
+
+  start(options) {
+    this.log("Microphone: starting recorder with", options)
+    const recording = this.record(options)
+    this.recording = recording
+    this.options = { ...options }
+
+    const stream = recording.stream()
+    stream.on("data", chunk => this.notify("data", chunk))
+    stream.on("error", (err) => {
+      this.error("Recording stream error:", err)
+      this.notify("error", err)
+    })
+    stream.on("end", () => {
+      this.warn("Recording stream ended")
+      this.notify("end")
+    })
+    recording.process.on("exit", (code, signal) => {
+      this.log(`Recording process exited with code ${code}, signal ${signal}`)
+      if (this.recording !== recording) { return }
+      const listeners = [...this.subscribers.values()]
+      this.recording = null
+      this.options = null
+      this.subscribers.clear()
+      listeners.forEach(listener => listener.exit?.(code, signal))
+    })
+  }
+
+  // Kill the recorder. Its exit is expected, so nobody is told about it
+  stop() {
+    const recording = this.recording
+    if (!recording) { return }
+    this.recording = null
+    this.options = null
+    this.log("Microphone: stopping recorder")
+
+    try {
+      const stream = recording.stream()
+      stream.removeAllListeners("data")
+      stream.removeAllListeners("error")
+      stream.removeAllListeners("end")
+      if (recording.process) {
+        recording.process.removeAllListeners("exit")
+        recording.process.kill("SIGTERM")
+      } else {
+        this.warn("No underlying process found in the recording to kill")
+      }
+      // The library's stop method, which might also attempt cleanup
+      recording.stop()
+    } catch (stopError) {
+      this.error("Error during recorder cleanup/stop():", stopError)
+    }
+  }
+
+  stopAll() {
+    this.subscribers.clear()
+    this.stop()
+  }
+
+  // Copy first, a listener may unsubscribe while being called
+  notify(event, ...args) {
+    for (const listener of [...this.subscribers.values()]) {
+      listener[event]?.(...args)
+    }
+  }
+}
+
+module.exports = SharedMicrophone
@@ -0,0 +1,187 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const fs = require("fs")
+const path = require("path")
+const { spawn } = require("child_process")
+const { Writable } = require("stream")
+
+const PLAYBACK_BACKENDS = ["speaker", "aplay", "paplay", "file"]
+const WAV_HEADER_BYTES = 44
+const PLAYER_LEAD_MS = 100 // How far a piped player may be fed ahead of real time
+
+// Plays raw PCM by piping it into a command line player such as aplay or paplay.
+// Behaves like a Speaker: 'open' on the first write, 'close' once the player has
+// drained its input and exited. With bytesPerSecond, writes complete in real time
+// like they do on a Speaker, instead of filling the pipe seconds ahead
+class ProcessPlayer extends Writable {
+  constructor(command, args, { bytesPerSecond } = {}) {
+    super()
+    this.command = command
+    this.bytesPerSecond = bytesPerSecond
+    this.playhead = 0 // When the audio written so far will have played, in ms since the epoch
+    this.opened = false
+    this.exitCode = undefined
+    this.stderr = ""
+    this.child = spawn(command, args, { stdio: ["pipe", "ignore", "pipe"] })
+    this.child.stderr.on("data", (data) => { this.stderr += data })
+    this.child.on("error", error => this.destroy(error))
+    this.child.stdin.on("error", error => this.destroy(error))
+    this.child.on("close", (code) => { this.exitCode = code })
+  }
+
+  _write(chunk, encoding, callback) {
+    if (!this.opened) {
+      this.opened = true
+      this.emit("open")
+    }
+    this.child.stdin.write(chunk, (writeError) => {
+      if (writeError || !this.bytesPerSecond) {
+        callback(writeError)
+        return
+      }
+      this.playhead = Math.max(Date.now(), this.playhead) + chunk.length / this.bytesPerSecond * 1000
+      setTimeout(callback, Math.max(0, this.playhead - Date.now() - PLAYER_LEAD_MS))
+    })
+  }
+
+  _final(callback) {
+    const done = (code) => {
+      if (code && code !== 0) {
+        callback(new Error(`${this.command} exited with code ${code}: ${this.stderr.trim()}`))
+      } else {
+        callback()
+      }
+    }
+    if (this.exitCode !== undefined) {
+      done(this.exitCode)
+      return
+    }
+    this.child.once("close", done)
+    this.child.stdin.end()
+  }
+
+  _destroy(error, callback) {
+    if (this.exitCode === undefined && !this.child.killed) {
+      this.child.kill()
+    }
+    callback(error)
+  }
+}
+
+// Writes the PCM to a WAV file instead of playing it. The header is written with
+// placeholder sizes and filled in once the stream ends
+class WavFileWriter extends Writable {
+  constructor(filePath, { sampleRate, channels, bitDepth }) {
+    super()
+    this.filePath = filePath
+    this.format = { sampleRate, channels, bitDepth }
+    this.opened = false
+    this.dataBytes = 0
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    this.fd = fs.openSync(filePath, "w")
+    fs.writeSync(this.fd, wavHeader(0, this.format))
+  }
+
+  _write(chunk, encoding, callback) {
+    if (!this.opened) {
+      this.opened = true
+      this.emit("open")
+    }
+    try {
+      fs.writeSync(this.fd, chunk)
+      this.dataBytes += chunk.length
+      callback()
+    } catch (writeError) {
+      callback(writeError)
+    }
+  }
+
+  _final(callback) {
+    try {
+      fs.writeSync(this.fd, wavHeader(this.dataBytes, this.format), 0, WAV_HEADER_BYTES, 0)
+      callback()
+    } catch (writeError) {
+      callback(writeError)
+    }
+  }
+
+  _destroy(error, callback) {
+    if (this.fd !== null) {
+      try { fs.closeSync(this.fd) } catch { /* already closed */ }
+      this.fd = null
+    }
+    callback(error)
+  }
+}
+
+// Canonical 44 byte header for 16-bit PCM
+function wavHeader(dataBytes, { sampleRate, channels, bitDepth }) {
+  const blockAlign = channels * bitDepth / 8
+  const header = Buffer.alloc(WAV_HEADER_BYTES)
+  header.write("RIFF", 0)
+  header.writeUInt32LE(36 + dataBytes, 4)
+  header.write("WAVE", 8)
+  header.write("fmt ", 12)
+  header.writeUInt32LE(16, 16)
+  header.writeUInt16LE(1, 20) // PCM
+  header.writeUInt16LE(channels, 22)
+  header.writeUInt32LE(sampleRate, 24)
+  header.writeUInt32LE(sampleRate * blockAlign, 28)
+  header.writeUInt16LE(blockAlign, 32)
+  header.writeUInt16LE(bitDepth, 34)
+  header.write("data", 36)
+  header.writeUInt32LE(dataBytes, 40)
+  return header
+}
+
+// A writable stream that plays (or stores) raw PCM through the chosen backend.
+// device is an ALSA device for speaker and aplay, a PulseAudio sink for paplay
+function createPlayer({ backend = "speaker", device, directory, sampleRate, channels, bitDepth }) {
+  const bytesPerSecond = sampleRate * channels * bitDepth / 8
+  switch (backend) {
+    case "aplay": {
+      const args = ["-q", "-t", "raw", "-f", `S${bitDepth}_LE`, "-r", String(sampleRate), "-c", String(channels)]
+      if (device) { args.push("-D", device) }
+      return new ProcessPlayer("aplay", [...args, "-"], { bytesPerSecond })
+    }
+    case "paplay": {
+      const args = ["--raw", `--format=s${bitDepth}le`, `--rate=${sampleRate}`, `--channels=${channels}`]
+      if (device) { args.push(`--device=${device}`) }
+      return new ProcessPlayer("paplay", args, { bytesPerSecond })
+    }
+    case "file": {
+      const name = `response-${new Date().toISOString().replace(/[:.]/g, "-")}.wav`
+      return new WavFileWriter(path.join(directory, name), { sampleRate, channels, bitDepth })
+    }
+    case "speaker": {
+      const Speaker = require("speaker")
+      const options = { sampleRate, channels, bitDepth }
+      if (device) { options.device = device }
+      return new Speaker(options)
+    }
+    default:
+      throw new Error(`Unknown playback backend '${backend}'`)
+  }
+}
+
+module.exports = {
+  PLAYBACK_BACKENDS,
+  ProcessPlayer,
+  WavFileWriter,
+  wavHeader,
+  createPlayer,
+}
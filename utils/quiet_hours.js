@@ -0,0 +1,68 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const DAY_MINUTES = 24 * 60
+
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim())
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time '${value}', expected "HH:MM"`)
+  }
+  return Number(match[1]) * 60 + Number(match[2])
+}
+
+// Quiet hours in local time, one { start: "22:00", end: "07:00" } or a list of
+// them. A range that ends before it starts runs past midnight. Returns the
+// ranges in minutes since midnight, throws on anything unreadable
+function parseQuietHours(value) {
+  if (!value) { return [] }
+  return [].concat(value).map((range) => {
+    const start = parseTime(range?.start)
+    const end = parseTime(range?.end)
+    if (start === end) {
+      throw new Error(`Quiet hours ${range.start}-${range.end} start and end at the same time`)
+    }
+    return { start, end }
+  })
+}
+
+function minutesOfDay(date) {
+  return date.getHours() * 60 + date.getMinutes()
+}
+
+// Start is inclusive, end exclusive
+function isQuietTime(ranges, date = new Date()) {
+  const minute = minutesOfDay(date)
+  return ranges.some(({ start, end }) => start < end ? minute >= start && minute < end : minute >= start || minute < end)
+}
+
+// The next time a range starts or ends, so a timer can sleep until then
+function nextQuietChange(ranges, date = new Date()) {
+  if (ranges.length === 0) { return null }
+  const minute = minutesOfDay(date)
+  const waits = ranges.flatMap(({ start, end }) => [start, end])
+    .map(boundary => (boundary - minute + DAY_MINUTES - 1) % DAY_MINUTES + 1)
+  const next = new Date(date)
+  next.setSeconds(0, 0)
+  next.setMinutes(next.getMinutes() + Math.min(...waits))
+  return next
+}
+
+module.exports = {
+  parseQuietHours,
+  isQuietTime,
+  nextQuietChange,
+}
@@ -0,0 +1,87 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// Schedules reconnect attempts with exponential backoff and jitter. After
+// maxAttempts failures in a row it waits out a longer cool-down ("offline")
+// before starting over, so a bad key or a dead network cannot flood the API.
+class ReconnectManager {
+  constructor({ baseDelay = 2000, maxDelay = 60000, maxAttempts = 8, cooldown = 600000, jitter = 0.3 } = {}) {
+    this.baseDelay = baseDelay
+    this.maxDelay = maxDelay
+    this.maxAttempts = maxAttempts
+    this.cooldown = cooldown
+    this.jitter = jitter
+    this.attempts = 0
+    this.timer = null
+    this.task = null
+    this.retryAt = null
+  }
+
+  get pending() {
+    return this.timer !== null
+  }
+
+  // Run task after the next backoff delay. Returns what was scheduled so it can be shown
+  schedule(task) {
+    this.cancel()
+    this.task = task
+
+    let delay
+    let offline = false
+    if (this.attempts >= this.maxAttempts) {
+      offline = true
+      delay = this.cooldown
+      this.attempts = 0
+    } else {
+      const exponential = Math.min(this.maxDelay, this.baseDelay * 2 ** this.attempts)
+      delay = Math.round(exponential * (1 + this.jitter * (Math.random() * 2 - 1)))
+      this.attempts++
+    }
+
+    this.retryAt = Date.now() + delay
+    this.timer = setTimeout(() => {
+      this.timer = null
+      this.retryAt = null
+      task()
+    }, delay)
+
+    return { attempt: this.attempts, maxAttempts: this.maxAttempts, delay, retryAt: this.retryAt, offline }
+  }
+
+  // Skip the wait and run the scheduled task immediately
+  retryNow() {
+    if (!this.task || !this.pending) { return false }
+    const task = this.task
+    this.cancel()
+    task()
+    return true
+  }
+
+  cancel() {
+    clearTimeout(this.timer)
+    this.timer = null
+    this.retryAt = null
+  }
+
+  // Connection is healthy again
+  reset() {
+    this.cancel()
+    this.attempts = 0
+    this.task = null
+  }
+}
+
+module.exports = ReconnectManager
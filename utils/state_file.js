@@ -0,0 +1,44 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+const fs = require("fs")
+const path = require("path")
+
+// Read a JSON file, returning fallback if it is missing or unreadable
+function loadJson(filePath, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"))
+  } catch {
+    return fallback
+  }
+}
+
+// Write a JSON file atomically so a crash mid-write cannot leave it truncated
+function saveJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  const tempPath = `${filePath}.tmp`
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2))
+  fs.renameSync(tempPath, filePath)
+}
+
+function removeFile(filePath) {
+  fs.rmSync(filePath, { force: true })
+}
+
+module.exports = {
+  loadJson,
+  saveJson,
+  removeFile,
+}
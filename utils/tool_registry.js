@@ -0,0 +1,88 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const DEFAULT_TOOL_TIMEOUT = 10000 // ms
+
+// Keeps the function declarations offered to Gemini together with the code that
+// runs them. Built-in tools register from the helper, other MagicMirror modules
+// register through the GEMINI_REGISTER_TOOL notification.
+class ToolRegistry {
+  constructor({ log = console.log, warn = console.warn } = {}) {
+    this.tools = new Map()
+    this.log = log
+    this.warn = warn
+  }
+
+  // handler(args, call) may be async and should return a plain object describing the outcome
+  register(declaration, handler, { owner = "builtin", timeout = DEFAULT_TOOL_TIMEOUT } = {}) {
+    if (!declaration?.name) {
+      throw new Error("Tool declaration needs a name")
+    }
+    if (typeof handler !== "function") {
+      throw new Error(`Tool '${declaration.name}' needs a handler function`)
+    }
+    const existing = this.tools.get(declaration.name)
+    if (existing && existing.owner !== owner) {
+      this.warn(`Tool '${declaration.name}' is already registered by ${existing.owner}, replacing it`)
+    }
+    this.tools.set(declaration.name, { declaration, handler, owner, timeout })
+  }
+
+  unregister(name) {
+    return this.tools.delete(name)
+  }
+
+  has(name) {
+    return this.tools.has(name)
+  }
+
+  // How long a call to the tool may take, the default for tools not registered
+  timeoutOf(name) {
+    return this.tools.get(name)?.timeout ?? DEFAULT_TOOL_TIMEOUT
+  }
+
+  getDeclarations() {
+    return [...this.tools.values()].map(tool => tool.declaration)
+  }
+
+  // Run a function call from Gemini. Always resolves to a FunctionResponse,
+  // failures and timeouts are reported to the model as { error }
+  async execute(call) {
+    const tool = this.tools.get(call.name)
+    let response
+    if (!tool) {
+      this.warn(`Received unhandled function call: ${call.name}`)
+      response = { error: `Unknown function '${call.name}'` }
+    } else {
+      let timer
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${tool.timeout}ms`)), tool.timeout)
+      })
+      try {
+        const result = await Promise.race([tool.handler(call.args || {}, call), timeout])
+        response = (result && typeof result === "object" && !Array.isArray(result)) ? result : { result: result ?? "ok" }
+      } catch (toolError) {
+        this.warn(`Tool '${call.name}' failed: ${toolError.message}`)
+        response = { error: toolError.message }
+      } finally {
+        clearTimeout(timer)
+      }
+    }
+    return { id: call.id, name: call.name, response }
+  }
+}
+
+module.exports = ToolRegistry
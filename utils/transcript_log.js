@@ -0,0 +1,99 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+const fs = require("fs")
+const path = require("path")
+
+const FILE_PREFIX = "transcript-"
+const FILE_SUFFIX = ".jsonl"
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Append-only conversation log, one JSON object per line and one file per day.
+// Files older than retentionDays are deleted when the day rolls over.
+class TranscriptLog {
+  constructor({ directory, retentionDays = 30, error = console.error }) {
+    this.directory = directory
+    this.retentionDays = retentionDays
+    this.error = error
+    this.currentDay = null
+  }
+
+  fileForDay(day) {
+    return path.join(this.directory, `${FILE_PREFIX}${day}${FILE_SUFFIX}`)
+  }
+
+  listFiles() {
+    try {
+      return fs.readdirSync(this.directory)
+        .filter(name => name.startsWith(FILE_PREFIX) && name.endsWith(FILE_SUFFIX))
+        .sort()
+        .map(name => path.join(this.directory, name))
+    } catch {
+      return []
+    }
+  }
+
+  append(entry) {
+    const day = new Date().toISOString().slice(0, 10)
+    try {
+      if (day !== this.currentDay) {
+        fs.mkdirSync(this.directory, { recursive: true })
+        this.currentDay = day
+        this.prune()
+      }
+      fs.appendFileSync(this.fileForDay(day), `${JSON.stringify(entry)}\n`)
+    } catch (writeError) {
+      this.error("Could not write transcript entry:", writeError.message)
+    }
+  }
+
+  // Delete files that fall outside the retention window
+  prune() {
+    if (!this.retentionDays || this.retentionDays <= 0) { return }
+    const oldestKept = new Date(Date.now() - this.retentionDays * DAY_MS).toISOString().slice(0, 10)
+    for (const file of this.listFiles()) {
+      const day = path.basename(file).slice(FILE_PREFIX.length, -FILE_SUFFIX.length)
+      if (day < oldestKept) {
+        fs.rmSync(file, { force: true })
+      }
+    }
+  }
+
+  // Most recent entries, newest last
+  readRecent(limit = 20) {
+    const entries = []
+    for (const file of this.listFiles().reverse()) {
+      const lines = fs.readFileSync(file, "utf8").split("\n").filter(Boolean)
+      for (const line of lines.reverse()) {
+        try {
+          entries.unshift(JSON.parse(line))
+        } catch {
+          // Skip a partially written line
+        }
+        if (entries.length >= limit) { return entries }
+      }
+    }
+    return entries
+  }
+
+  clear() {
+    for (const file of this.listFiles()) {
+      fs.rmSync(file, { force: true })
+    }
+    this.currentDay = null
+  }
+}
+
+module.exports = TranscriptLog
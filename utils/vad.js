@@ -0,0 +1,117 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+const { computeRms } = require("./audio")
+
+const MAX_THRESHOLD = 2000 // RMS needed at sensitivity 0
+const MIN_THRESHOLD = 200 // RMS needed at sensitivity 1
+const MIN_ZERO_CROSSING_RATE = 0.01 // Below this the chunk is likely hum or DC offset
+const MAX_ZERO_CROSSING_RATE = 0.35 // Above this the chunk is likely hiss or clicks
+
+// Fraction of neighbouring 16-bit samples that change sign
+function computeZeroCrossingRate(buffer) {
+  const sampleCount = Math.floor(buffer.length / 2)
+  if (sampleCount < 2) { return 0 }
+
+  let crossings = 0
+  let previous = buffer.readInt16LE(0)
+  for (let i = 1; i < sampleCount; i++) {
+    const sample = buffer.readInt16LE(i * 2)
+    if ((previous >= 0) !== (sample >= 0)) { crossings++ }
+    previous = sample
+  }
+  return crossings / (sampleCount - 1)
+}
+
+// Energy based voice activity detection for the mic uplink. Chunks are held back
+// until speech starts, the last preRollMs of audio is sent with the onset so the
+// first syllable is not clipped, and audio keeps flowing for hangoverMs after the
+// last voiced chunk so Gemini still hears the end of the sentence.
+// Timing is measured in audio time, not wall clock time.
+class VoiceActivityDetector {
+  constructor({ sensitivity = 0.5, preRollMs = 300, hangoverMs = 800, sampleRate, channels = 1 }) {
+    const clamped = Math.min(Math.max(sensitivity, 0), 1)
+    this.threshold = MAX_THRESHOLD - clamped * (MAX_THRESHOLD - MIN_THRESHOLD)
+    this.preRollMs = preRollMs
+    this.hangoverMs = hangoverMs
+    this.bytesPerMs = (sampleRate * channels * 2) / 1000
+
+    this.active = false
+    this.preRoll = []
+    this.preRollBytes = 0
+    this.msSinceVoice = 0
+    this.stats = { total: 0, sent: 0, suppressed: 0, onsets: 0, offsets: 0 }
+  }
+
+  isVoiced(chunk) {
+    if (computeRms(chunk) < this.threshold) { return false }
+    const zcr = computeZeroCrossingRate(chunk)
+    return zcr >= MIN_ZERO_CROSSING_RATE && zcr <= MAX_ZERO_CROSSING_RATE
+  }
+
+  // Returns the chunks that should be forwarded now, possibly none
+  process(chunk) {
+    this.stats.total++
+    const voiced = this.isVoiced(chunk)
+
+    if (this.active) {
+      if (voiced) {
+        this.msSinceVoice = 0
+      } else {
+        this.msSinceVoice += chunk.length / this.bytesPerMs
+        if (this.msSinceVoice > this.hangoverMs) {
+          this.active = false
+          this.stats.offsets++
+        }
+      }
+      this.stats.sent++
+      return [chunk]
+    }
+
+    if (voiced) {
+      const toSend = [...this.preRoll, chunk]
+      this.active = true
+      this.msSinceVoice = 0
+      this.stats.onsets++
+      this.stats.sent += toSend.length
+      this.preRoll = []
+      this.preRollBytes = 0
+      return toSend
+    }
+
+    // Silence: keep it briefly as pre-roll, drop whatever falls out of the window
+    this.preRoll.push(chunk)
+    this.preRollBytes += chunk.length
+    const maxBytes = this.preRollMs * this.bytesPerMs
+    while (this.preRoll.length > 1 && this.preRollBytes - this.preRoll[0].length >= maxBytes) {
+      this.preRollBytes -= this.preRoll.shift().length
+      this.stats.suppressed++
+    }
+    return []
+  }
+
+  reset() {
+    this.stats.suppressed += this.preRoll.length
+    this.active = false
+    this.preRoll = []
+    this.preRollBytes = 0
+    this.msSinceVoice = 0
+  }
+}
+
+module.exports = {
+  VoiceActivityDetector,
+  computeZeroCrossingRate,
+}
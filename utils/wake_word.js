@@ -0,0 +1,79 @@
+/*
+Copyright 2025 Paul Trebilcox-Ruiz
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// Local keyword spotting used by listenMode "wakeWord". Audio never leaves the
+// device until one of the phrases is heard. Uses the optional `vosk` package with
+// its grammar restricted to the wake phrases, which keeps it fast on a Pi.
+class WakeWordDetector {
+  constructor({ phrases, modelPath, sampleRate }) {
+    this.phrases = phrases.map(phrase => phrase.toLowerCase().trim()).filter(Boolean)
+    this.modelPath = modelPath
+    this.sampleRate = sampleRate
+    this.model = null
+    this.recognizer = null
+  }
+
+  // Throws if vosk or its model is unavailable so the helper can report it
+  load() {
+    let vosk
+    try {
+      vosk = require("vosk")
+    } catch {
+      throw new Error("listenMode 'wakeWord' requires the optional 'vosk' package (npm install vosk)")
+    }
+    if (!this.modelPath) {
+      throw new Error("listenMode 'wakeWord' requires wakeWordModelPath to point at a Vosk model directory")
+    }
+    if (this.phrases.length === 0) {
+      throw new Error("listenMode 'wakeWord' requires at least one wakeWord phrase")
+    }
+
+    vosk.setLogLevel(-1)
+    this.model = new vosk.Model(this.modelPath)
+    this.recognizer = new vosk.Recognizer({
+      model: this.model,
+      sampleRate: this.sampleRate,
+      grammar: [...this.phrases, "[unk]"],
+    })
+  }
+
+  // Feed a PCM chunk, returns true when a wake phrase was heard
+  feed(chunk) {
+    if (!this.recognizer) { return false }
+
+    let text
+    if (this.recognizer.acceptWaveform(chunk)) {
+      text = this.recognizer.result().text
+    } else {
+      text = this.recognizer.partialResult().partial
+    }
+
+    if (text && this.phrases.some(phrase => text.includes(phrase))) {
+      this.recognizer.reset()
+      return true
+    }
+    return false
+  }
+
+  free() {
+    this.recognizer?.free()
+    this.model?.free()
+    this.recognizer = null
+    this.model = null
+  }
+}
+
+module.exports = WakeWordDetector